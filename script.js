@@ -1,6 +1,10 @@
 /* ===== Helpers ===== */
 const $ = (sel, parent = document) => parent.querySelector(sel);
 const $$ = (sel, parent = document) => Array.from(parent.querySelectorAll(sel));
+// Keyboard shortcuts must not fire while the visitor is typing somewhere
+const isTypingTarget = (el) => !!el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+// Seconds as "m:ss", for playback positions and countdowns
+const formatTime = (seconds) => `${Math.floor(seconds / 60)}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
 
 /* ===== GSAP Setup ===== */
 window.gsap?.registerPlugin(window.ScrollTrigger, window.ScrollToPlugin);
@@ -23,6 +27,67 @@ const logger = {
   debug: (msg) => console.debug(`[DEBUG] ${msg}`)
 };
 
+// JSON wrapper around localStorage; private mode and full quotas must not break the page
+const storage = {
+  get: (key, fallback = null) => {
+    try {
+      const value = localStorage.getItem(`urodziny:${key}`);
+      return value === null ? fallback : JSON.parse(value);
+    } catch (e) {
+      logger.warn(`Could not read "${key}" from storage: ${e.message}`);
+      return fallback;
+    }
+  },
+  set: (key, value) => {
+    try {
+      localStorage.setItem(`urodziny:${key}`, JSON.stringify(value));
+    } catch (e) {
+      logger.warn(`Could not save "${key}" to storage: ${e.message}`);
+    }
+  }
+};
+
+// Promise wrapper around IndexedDB for data too large for localStorage (audio files, photos)
+const database = (function createDatabase() {
+  const NAME = 'urodziny';
+  const VERSION = 2;
+  const STORES = ['tracks', 'memories'];
+  let connection = null;
+  
+  function open() {
+    if (!window.indexedDB) return Promise.reject(new Error('IndexedDB is not supported'));
+    
+    connection ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open(NAME, VERSION);
+      request.onupgradeneeded = () => {
+        STORES.forEach(store => {
+          if (!request.result.objectStoreNames.contains(store)) {
+            request.result.createObjectStore(store, { keyPath: 'id', autoIncrement: true });
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return connection;
+  }
+  
+  async function run(store, mode, operation) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(store, mode).objectStore(store));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  
+  return {
+    getAll: (store) => run(store, 'readonly', objects => objects.getAll()),
+    put: (store, value) => run(store, 'readwrite', objects => objects.put(value)),
+    delete: (store, key) => run(store, 'readwrite', objects => objects.delete(key))
+  };
+})();
+
 // Performance monitoring
 const performanceMonitor = {
   start: (label) => performance.mark(`${label}-start`),
@@ -34,2118 +99,7626 @@ const performanceMonitor = {
   }
 };
 
-/* ===== Enhanced Hearts Canvas Background ===== */
-(function heartsBackground() {
-  const canvas = document.getElementById('heartsCanvas');
-  if (!canvas) return;
+/* ===== Shared Audio Engine ===== */
+// One AudioContext for the whole page. Music, sound effects and voice
+// recordings each get their own bus, all mixed into a single master gain.
+const audioEngine = (function createAudioEngine() {
+  if (!supportsWebAudio) return null;
   
-  // Use WebGL2 if available, fallback to 2D
-  let gl, program, isWebGL = false;
+  const context = new (window.AudioContext || window.webkitAudioContext)();
+  const master = context.createGain();
+  master.connect(context.destination);
   
-  if (supportsWebGL2) {
-    try {
-      gl = canvas.getContext('webgl2', { 
-        antialias: true, 
-        alpha: true, 
-        premultipliedAlpha: false 
-      });
-      if (gl) {
-        isWebGL = true;
-        setupWebGL();
-      }
-    } catch (e) {
-      logger.warn('WebGL2 failed, falling back to 2D: ' + e.message);
-    }
+  const buses = {};
+  ['music', 'sfx', 'voice'].forEach(name => {
+    buses[name] = context.createGain();
+    buses[name].connect(master);
+  });
+  
+  const mute = storage.get('mute', { master: false, sfx: false });
+  const sources = new WeakMap();
+  
+  function applyMute() {
+    const now = context.currentTime;
+    master.gain.setTargetAtTime(mute.master ? 0 : 1, now, 0.02);
+    buses.sfx.gain.setTargetAtTime(mute.sfx ? 0 : 1, now, 0.02);
+    storage.set('mute', mute);
+    document.dispatchEvent(new CustomEvent('audiomutechange', { detail: { ...mute } }));
   }
   
-  if (!isWebGL) {
-    // Fallback to 2D canvas
-    setup2DCanvas();
+  // Browsers keep a new context suspended until the first user gesture
+  function resume() {
+    return context.state === 'suspended' ? context.resume() : Promise.resolve();
   }
   
-  function setupWebGL() {
-    // WebGL2 shader setup for hearts
-    const vertexShader = `#version 300 es
-      in vec2 a_position;
-      in vec2 a_texCoord;
-      out vec2 v_texCoord;
-      uniform mat3 u_matrix;
-      
-      void main() {
-        gl_Position = vec4((u_matrix * vec3(a_position, 1.0)).xy, 0.0, 1.0);
-        v_texCoord = a_texCoord;
-      }
-    `;
+  ['pointerdown', 'keydown'].forEach(type => {
+    document.addEventListener(type, resume, { passive: true });
+  });
+  
+  // createMediaElementSource() may only be called once per element
+  function createElementSource(element) {
+    if (!sources.has(element)) {
+      sources.set(element, context.createMediaElementSource(element));
+    }
+    return sources.get(element);
+  }
+  
+  // Music chain: element → track gain → preamp → 10-band EQ → analyser → music bus
+  function attachMusic(element) {
+    const trackGain = context.createGain();
+    const preamp = context.createGain();
+    const analyser = context.createAnalyser();
+    const eqBands = [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000].map(frequency => {
+      const filter = context.createBiquadFilter();
+      filter.type = 'peaking';
+      filter.frequency.value = frequency;
+      filter.Q.value = 1.41;
+      filter.gain.value = 0;
+      return filter;
+    });
     
-    const fragmentShader = `#version 300 es
-      precision mediump float;
-      in vec2 v_texCoord;
-      out vec4 outColor;
-      uniform float u_time;
-      
-      void main() {
-        vec2 uv = v_texCoord - 0.5;
-        float dist = length(uv);
-        float heart = smoothstep(0.5, 0.4, dist);
-        vec3 color = mix(vec3(1.0, 0.2, 0.4), vec3(1.0, 0.6, 0.7), heart);
-        outColor = vec4(color, heart * 0.8);
-      }
-    `;
+    createElementSource(element).connect(trackGain);
+    trackGain.connect(preamp);
+    eqBands.reduce((previous, band) => {
+      previous.connect(band);
+      return band;
+    }, preamp).connect(analyser);
+    analyser.connect(buses.music);
     
-    // Compile shaders and create program
-    const vs = gl.createShader(gl.VERTEX_SHADER);
-    gl.shaderSource(vs, vertexShader);
-    gl.compileShader(vs);
+    engine.music = { element, input: preamp, trackGain, preamp, eqBands, analyser };
+    return engine.music;
+  }
+  
+  function playTone(frequency = 800, duration = 0.1, type = 'sine', volume = 0.1) {
+    const oscillator = context.createOscillator();
+    const gainNode = context.createGain();
     
-    const fs = gl.createShader(gl.FRAGMENT_SHADER);
-    gl.shaderSource(fs, fragmentShader);
-    gl.compileShader(fs);
+    oscillator.connect(gainNode);
+    gainNode.connect(buses.sfx);
     
-    program = gl.createProgram();
-    gl.attachShader(program, vs);
-    gl.attachShader(program, fs);
-    gl.linkProgram(program);
+    oscillator.frequency.value = frequency;
+    oscillator.type = type;
     
-    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-      throw new Error('WebGL program link failed');
-    }
+    gainNode.gain.setValueAtTime(volume, context.currentTime);
+    gainNode.gain.exponentialRampToValueAtTime(0.01, context.currentTime + duration);
     
-    gl.useProgram(program);
-    gl.enable(gl.BLEND);
-    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    oscillator.start(context.currentTime);
+    oscillator.stop(context.currentTime + duration);
   }
   
-  function setup2DCanvas() {
-    // Original 2D canvas implementation
-    const ctx = canvas.getContext('2d');
-    if (!ctx) return;
+  function playSweep(from, to, duration = 0.3, volume = 0.05) {
+    const oscillator = context.createOscillator();
+    const gainNode = context.createGain();
     
-    let width, height, dpr;
-    const hearts = [];
-    const maxHearts = 100;
-    const sparkles = [];
+    oscillator.connect(gainNode);
+    gainNode.connect(buses.sfx);
     
-    function resize() {
-      dpr = Math.min(window.devicePixelRatio || 1, 2);
-      width = canvas.clientWidth = window.innerWidth;
-      height = canvas.clientHeight = window.innerHeight;
-      canvas.width = Math.floor(width * dpr);
-      canvas.height = Math.floor(height * dpr);
-      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-    }
+    oscillator.frequency.setValueAtTime(from, context.currentTime);
+    oscillator.frequency.exponentialRampToValueAtTime(to, context.currentTime + duration);
     
-    function createHeart(x = Math.random() * width, y = height + 20) {
-      const size = 6 + Math.random() * 10;
-      const speedY = 0.4 + Math.random() * 1.1;
-      const driftX = (Math.random() - 0.5) * 0.6;
-      const rotate = Math.random() * Math.PI;
-      const opacity = 0.5 + Math.random() * 0.5;
-      const pulse = Math.random() * 0.1;
-      return { x, y, size, speedY, driftX, rotate, opacity, pulse, originalSize: size };
-    }
+    gainNode.gain.setValueAtTime(volume, context.currentTime);
+    gainNode.gain.exponentialRampToValueAtTime(0.01, context.currentTime + duration);
     
-    function createSparkle() {
-      return {
-        x: Math.random() * width,
-        y: Math.random() * height,
-        size: 2 + Math.random() * 3,
-        speed: 0.5 + Math.random() * 1,
-        opacity: 0.3 + Math.random() * 0.7,
-        life: 1
-      };
+    oscillator.start(context.currentTime);
+    oscillator.stop(context.currentTime + duration);
+  }
+  
+  const engine = {
+    context,
+    master,
+    buses,
+    music: null,
+    resume,
+    createElementSource,
+    attachMusic,
+    playTone,
+    playSweep,
+    get muted() { return mute.master; },
+    get sfxMuted() { return mute.sfx; },
+    setMuted(value) {
+      mute.master = value;
+      applyMute();
+    },
+    setSfxMuted(value) {
+      mute.sfx = value;
+      applyMute();
     }
-    
-    function drawHeart(h) {
-      ctx.save();
-      ctx.translate(h.x, h.y);
-      ctx.rotate(h.rotate);
-      ctx.globalAlpha = h.opacity;
-      
-      const pulseSize = h.size + Math.sin(Date.now() * 0.005 + h.pulse) * 2;
-      
-      const grad = ctx.createRadialGradient(-pulseSize * 0.1, -pulseSize * 0.1, 0, 0, 0, pulseSize);
-      grad.addColorStop(0, '#ffffff');
-      grad.addColorStop(0.4, '#ff9eb1');
-      grad.addColorStop(1, '#ff4d6d');
-      ctx.fillStyle = grad;
-      
-      ctx.beginPath();
-      ctx.moveTo(0, pulseSize / 3);
-      ctx.bezierCurveTo(pulseSize, -pulseSize / 2, pulseSize * 1.3, pulseSize * 0.9, 0, pulseSize * 1.4);
-      ctx.bezierCurveTo(-pulseSize * 1.3, pulseSize * 0.9, -pulseSize, -pulseSize / 2, 0, pulseSize / 3);
-      ctx.closePath();
-      ctx.fill();
-      
-      ctx.shadowColor = '#ff4d6d';
-      ctx.shadowBlur = 8;
-      ctx.fill();
-      ctx.shadowBlur = 0;
-      
-      ctx.restore();
+  };
+  
+  applyMute();
+  return engine;
+})();
+
+/* ===== Page Content (content.json) ===== */
+// Everything personal on the page comes from content.json. Its sections stay
+// hidden ([data-content-pending]) until the file is rendered, and a missing or
+// invalid file is reported on the page instead of showing someone else's texts.
+(function pageContent() {
+  const text = { type: 'string' };
+  const card = { type: 'object', properties: { icon: text, title: text, text } };
+  const slide = { type: 'object', properties: { title: text, text } };
+  
+  const CONTENT_SCHEMA = {
+    type: 'object',
+    properties: {
+      recipient: {
+        type: 'object',
+        properties: {
+          name: text,
+          // The year is optional, without it the countdown simply skips the age
+          birthday: {
+            type: 'string',
+            optional: true,
+            pattern: /^(\d{4}-)?\d{2}-\d{2}$/,
+            hint: 'a date like 1999-10-24 or 10-24',
+            check: (date) => isValidDate(date.length === 5 ? `2000-${date}` : date) ? null : `"${date}" is not a real date`
+          },
+          timezone: {
+            type: 'string',
+            optional: true,
+            check: (zone) => isValidTimeZone(zone) ? null : `"${zone}" is not a known time zone`
+          }
+        }
+      },
+      wishes: {
+        type: 'object',
+        properties: { title: text, paragraphs: { type: 'array', minItems: 1, items: text } }
+      },
+      reasons: {
+        type: 'object',
+        properties: { title: text, items: { type: 'array', minItems: 1, items: card } }
+      },
+      moments: {
+        type: 'object',
+        properties: { items: { type: 'array', minItems: 1, items: slide } }
+      },
+      memories: {
+        type: 'object',
+        properties: { title: text, items: { type: 'array', minItems: 1, items: card } }
+      },
+      gallery: {
+        type: 'object',
+        optional: true,
+        properties: {
+          items: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              properties: {
+                icon: text,
+                title: text,
+                description: text,
+                date: {
+                  type: 'string',
+                  optional: true,
+                  pattern: /^\d{4}-\d{2}-\d{2}$/,
+                  hint: 'a date like 2024-02-14',
+                  check: (date) => isValidDate(date) ? null : `"${date}" is not a real date`
+                }
+              }
+            }
+          }
+        }
+      },
+      quiz: {
+        type: 'object',
+        properties: {
+          questions: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              properties: {
+                question: text,
+                options: { type: 'array', minItems: 2, items: text },
+                answer: text
+              },
+              check: (question) => question.options.includes(question.answer)
+                ? null
+                : `answer "${question.answer}" is not one of the options`
+            }
+          }
+        }
+      },
+      finale: { type: 'object', properties: { title: text, text } },
+      relationship: {
+        type: 'object',
+        optional: true,
+        properties: {
+          startDate: {
+            type: 'string',
+            pattern: /^\d{4}-\d{2}-\d{2}$/,
+            hint: 'a date like 2023-02-14',
+            check: (date) => isValidDate(date) ? null : `"${date}" is not a real date`
+          }
+        }
+      },
+      events: {
+        type: 'array',
+        optional: true,
+        items: {
+          type: 'object',
+          properties: {
+            date: {
+              type: 'string',
+              pattern: /^\d{4}-\d{2}-\d{2}$/,
+              hint: 'a date like 2025-02-14',
+              check: (date) => isValidDate(date) ? null : `"${date}" is not a real date`
+            },
+            title: text,
+            description: { type: 'string', optional: true },
+            repeat: { type: 'string', optional: true, enum: ['none', 'yearly'] },
+            type: { type: 'string', optional: true, enum: ['date', 'anniversary', 'birthday', 'other'] }
+          }
+        }
+      }
     }
-    
-    function drawSparkle(s) {
-      ctx.save();
-      ctx.globalAlpha = s.opacity;
-      ctx.fillStyle = '#ffd166';
-      
-      ctx.beginPath();
-      ctx.moveTo(s.x, s.y - s.size);
-      ctx.lineTo(s.x + s.size * 0.5, s.y);
-      ctx.lineTo(s.x, s.y + s.size);
-      ctx.lineTo(s.x - s.size * 0.5, s.y);
-      ctx.closePath();
-      ctx.fill();
-      
-      ctx.restore();
+  };
+  
+  function isValidDate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+  }
+  
+  function isValidTimeZone(zone) {
+    try {
+      new Intl.DateTimeFormat('pl', { timeZone: zone });
+      return true;
+    } catch (e) {
+      return false;
     }
+  }
+  
+  // Collects every problem with its path (e.g. "reasons.items[2].title"), not just the first
+  function validate(value, schema = CONTENT_SCHEMA, path = '', errors = []) {
+    const where = path || 'content';
+    const errorCount = errors.length;
     
-    function update() {
-      if (prefersReducedMotion) return;
-      
-      if (hearts.length < maxHearts && Math.random() < 0.8) hearts.push(createHeart());
-      for (let i = hearts.length - 1; i >= 0; i--) {
-        const h = hearts[i];
-        h.y -= h.speedY;
-        h.x += h.driftX;
-        h.rotate += 0.005;
-        if (h.y < -20) hearts.splice(i, 1);
+    if (schema.type === 'string') {
+      if (typeof value !== 'string' || !value.trim()) {
+        errors.push(`${where}: expected non-empty text`);
+      } else if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(`${where}: expected ${schema.hint}, found "${value}"`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${where}: expected one of ${schema.enum.join(', ')}, found "${value}"`);
       }
-      
-      if (sparkles.length < 50 && Math.random() < 0.3) sparkles.push(createSparkle());
-      for (let i = sparkles.length - 1; i >= 0; i--) {
-        const s = sparkles[i];
-        s.y -= s.speed;
-        s.life -= 0.01;
-        if (s.life <= 0 || s.y < -10) sparkles.splice(i, 1);
+    } else if (schema.type === 'array') {
+      if (!Array.isArray(value)) {
+        errors.push(`${where}: expected a list`);
+      } else {
+        if (value.length < (schema.minItems || 0)) {
+          errors.push(`${where}: expected at least ${schema.minItems} item(s), found ${value.length}`);
+        }
+        value.forEach((item, i) => validate(item, schema.items, `${path}[${i}]`, errors));
+      }
+    } else if (schema.type === 'object') {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${where}: expected an object`);
+      } else {
+        Object.entries(schema.properties).forEach(([key, property]) => {
+          const childPath = path ? `${path}.${key}` : key;
+          if (value[key] === undefined) {
+            if (!property.optional) errors.push(`${childPath}: missing`);
+          } else {
+            validate(value[key], property, childPath, errors);
+          }
+        });
+        Object.keys(value)
+          .filter(key => !(key in schema.properties))
+          .forEach(key => logger.warn(`content.json: unknown field "${path ? `${path}.${key}` : key}" is ignored`));
       }
     }
     
-    function render() {
-      ctx.clearRect(0, 0, width, height);
-      
-      for (const s of sparkles) drawSparkle(s);
-      for (const h of hearts) drawHeart(h);
+    // Cross-field checks only make sense once the shape is right
+    if (schema.check && errors.length === errorCount) {
+      const problem = schema.check(value);
+      if (problem) errors.push(`${where}: ${problem}`);
     }
+    return errors;
+  }
+  
+  // Every rendered text remembers where in content.json it came from
+  function textElement(tag, className, value, path) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    el.textContent = value;
+    el.dataset.contentPath = path;
+    return el;
+  }
+  
+  function setText(el, value, path) {
+    if (!el) return;
+    el.textContent = value;
+    el.dataset.contentPath = path;
+  }
+  
+  function renderCards(container, items, path, classes) {
+    if (!container) return;
+    container.replaceChildren(...items.map((item, i) => {
+      const el = document.createElement('div');
+      el.className = classes.card;
+      el.append(
+        textElement('div', classes.icon, item.icon, `${path}[${i}].icon`),
+        textElement('h4', '', item.title, `${path}[${i}].title`),
+        textElement('p', '', item.text, `${path}[${i}].text`)
+      );
+      return el;
+    }));
+  }
+  
+  function render(content) {
+    const { recipient, wishes, reasons, moments, memories, finale } = content;
     
-    function loop() {
-      update();
-      render();
-      requestAnimationFrame(loop);
+    setText($('#nameSpan'), recipient.name, 'recipient.name');
+    document.title = `Wszystkiego najlepszego, ${recipient.name}! 🎂💖`;
+    
+    const wishesCard = $('#wishes .glass-card');
+    if (wishesCard) {
+      setText($('.script', wishesCard), wishes.title, 'wishes.title');
+      $$('p', wishesCard).forEach(p => p.remove());
+      wishesCard.append(...wishes.paragraphs.map((paragraph, i) => 
+        textElement('p', '', paragraph, `wishes.paragraphs[${i}]`)
+      ));
     }
     
-    resize();
-    window.addEventListener('resize', resize);
-    loop();
-  }
-})();
-
-/* ===== Enhanced Parallax on hero text ===== */
-(function parallaxHero() {
-  const hero = document.getElementById('hero');
-  if (!hero || prefersReducedMotion) return;
-  const targets = $$('.title, .subtitle, .lead', hero);
-
-  // Use Intersection Observer for better performance
-  const observer = new IntersectionObserver((entries) => {
-    entries.forEach(entry => {
-      if (entry.isIntersecting) {
-        entry.target.style.willChange = 'transform';
-      } else {
-        entry.target.style.willChange = 'auto';
+    setText($('#reasons .section-title'), reasons.title, 'reasons.title');
+    renderCards($('#reasons .grid'), reasons.items, 'reasons.items', { card: 'card reason reveal', icon: 'icon' });
+    
+    $('#moments .carousel')?.replaceChildren(...moments.items.map((item, i) => {
+      const el = document.createElement('div');
+      el.className = 'slide';
+      el.append(
+        textElement('h4', '', item.title, `moments.items[${i}].title`),
+        textElement('p', '', item.text, `moments.items[${i}].text`)
+      );
+      return el;
+    }));
+    
+    setText($('#gallery .section-title'), memories.title, 'memories.title');
+    renderCards($('#gallery .memory-grid'), memories.items, 'memories.items', { card: 'memory-card', icon: 'memory-icon' });
+    
+    setText($('#finale .script'), finale.title, 'finale.title');
+    setText($('#finale .glass-card > p'), finale.text, 'finale.text');
+    
+    window.pageContent.current = content;
+    $$('[data-content-pending]').forEach(el => {
+      el.hidden = false;
+      el.removeAttribute('data-content-pending');
+    });
+    $('#contentError')?.setAttribute('hidden', '');
+    
+    // Modules that decorate rendered elements (reveal, hover, quiz, ...) pick up from here
+    document.dispatchEvent(new CustomEvent('contentchange', {
+      detail: {
+        content,
+        roots: ['#wishes', '#reasons', '#moments', '#gallery', '#finale'].map(sel => $(sel)).filter(Boolean)
       }
+    }));
+  }
+  
+  // The personal sections are left out rather than filled with texts meant for someone else
+  function showError(message, errors = []) {
+    $$('section[data-content-pending]').forEach(section => {
+      section.hidden = true;
     });
-  }, { threshold: 0.1 });
+    setText($('#nameSpan'), '', 'recipient.name');
+    $('#nameSpan')?.removeAttribute('data-content-pending');
+    
+    const box = $('#contentError');
+    if (!box) return;
+    $('#contentErrorMessage', box).textContent = message;
+    $('#contentErrorList', box).replaceChildren(...errors.map(error => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      return item;
+    }));
+    box.hidden = false;
+  }
   
-  targets.forEach(target => observer.observe(target));
+  // Resolves to { content } or { error, errors }, so creator mode can show the same problems
+  async function fetchContent() {
+    let content;
+    try {
+      const response = await fetch('content.json');
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      content = await response.json();
+    } catch (error) {
+      return { error: `Plik content.json nie daje się wczytać (${error.message}).`, errors: [] };
+    }
+    
+    const errors = validate(content);
+    if (errors.length) return { content, error: 'Plik content.json zawiera błędy:', errors };
+    return { content };
+  }
+  
+  async function load() {
+    const result = await fetchContent();
+    if (result.error) {
+      logger.error(`content.json: ${result.error}${result.errors.map(error => `\n  - ${error}`).join('')}`);
+      showError(result.error, result.errors);
+      return;
+    }
+    render(result.content);
+  }
+  
+  window.pageContent = {
+    current: null,
+    validate: (content) => validate(content),
+    fetch: fetchContent,
+    render
+  };
+  
+  // Creator mode loads content.json itself and decides what to put on the page
+  if (new URLSearchParams(location.search).get('edit') !== '1') load();
+})();
 
-  hero.addEventListener('pointermove', (e) => {
-    // Use requestAnimationFrame for smooth performance
-    requestAnimationFrame(() => {
-      const rect = hero.getBoundingClientRect();
-      const cx = e.clientX - rect.left - rect.width / 2;
-      const cy = e.clientY - rect.top - rect.height / 2;
-      
-      targets.forEach((el) => {
-        const depth = Number(el.dataset.depth || 4);
-        const tx = (-cx / rect.width) * depth * 15;
-        const ty = (-cy / rect.height) * depth * 15;
-        const scale = 1 + Math.abs(cx + cy) / (rect.width + rect.height) * 0.02;
-        
-        el.style.transform = `translate3d(${tx}px, ${ty}px, 0) scale(${scale})`;
+/* ===== Creator Mode (?edit=1) ===== */
+(function creatorMode() {
+  if (new URLSearchParams(location.search).get('edit') !== '1' || !window.pageContent) return;
+  
+  // Lists edited right on the page; quiz questions and events get their own dialog
+  const LISTS = {
+    'reasons.items': {
+      selector: '#reasons .grid > .card',
+      template: () => ({ icon: '💖', title: 'Nowy powód', text: 'Napisz, co w tej osobie kochasz.' })
+    },
+    'moments.items': {
+      selector: '#moments .slide',
+      template: () => ({ title: 'Nowa chwila', text: 'dopisz dalszą część zdania.' })
+    },
+    'memories.items': {
+      selector: '#gallery .memory-card',
+      template: () => ({ icon: '📸', title: 'Nowe wspomnienie', text: 'Krótki opis wspomnienia' })
+    }
+  };
+  
+  // Files of the deployable site; content.json is written from the edited model
+  const BUNDLE_FILES = ['index.html', 'style.css', 'script.js', 'sw.js', 'manifest.json', 'changelog.html', 'changelog.css'];
+  
+  let model = null;
+  
+  const toolbar = document.createElement('aside');
+  toolbar.className = 'creator-toolbar';
+  toolbar.setAttribute('aria-label', 'Tryb twórcy');
+  toolbar.innerHTML = `
+    <strong class="creator-title">✏️ Tryb twórcy</strong>
+    <p class="creator-hint">Kliknij dowolny tekst na stronie, aby go zmienić.</p>
+    <div class="creator-actions">
+      <button class="btn ghost" type="button" data-action="add" data-list="reasons.items" title="Add a reason">➕ Powód</button>
+      <button class="btn ghost" type="button" data-action="add" data-list="moments.items" title="Add a slide">➕ Chwila</button>
+      <button class="btn ghost" type="button" data-action="add" data-list="memories.items" title="Add a memory">➕ Wspomnienie</button>
+      <button class="btn ghost" type="button" data-action="quiz" title="Edit quiz questions">❓ Quiz</button>
+      <button class="btn ghost" type="button" data-action="events" title="Edit calendar events">📅 Wydarzenia</button>
+    </div>
+    <div class="creator-actions">
+      <button class="btn primary" type="button" data-action="json" title="Download content.json">⬇️ JSON</button>
+      <button class="btn primary" type="button" data-action="bundle" title="Download the whole page as .zip">📦 Paczka .zip</button>
+      <button class="btn ghost" type="button" data-action="reset" title="Discard the draft">↺ Od nowa</button>
+      <button class="btn ghost" type="button" data-action="exit" title="Leave creator mode">✕ Zakończ</button>
+    </div>
+    <p class="creator-status" aria-live="polite"></p>
+    <ul class="creator-errors"></ul>
+  `;
+  
+  const dialog = document.createElement('dialog');
+  dialog.className = 'creator-dialog';
+  
+  const statusEl = $('.creator-status', toolbar);
+  const errorsEl = $('.creator-errors', toolbar);
+  
+  // "reasons.items[2].title" → ['reasons', 'items', 2, 'title']
+  function parsePath(path) {
+    return path.split(/\.|\[(\d+)\]/).filter(Boolean).map(key => (/^\d+$/.test(key) ? Number(key) : key));
+  }
+  
+  function getAt(path) {
+    return parsePath(path).reduce((value, key) => value?.[key], model);
+  }
+  
+  function setAt(path, value) {
+    const keys = parsePath(path);
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => object[key], model);
+    if (value === undefined) {
+      delete parent[last];
+    } else {
+      parent[last] = value;
+    }
+  }
+  
+  function report() {
+    const errors = window.pageContent.validate(model);
+    showErrors(errors.length 
+      ? `⚠️ Do poprawienia: ${errors.length}` 
+      : '✓ Wszystko gotowe do eksportu', errors);
+    return errors;
+  }
+  
+  function showErrors(message, errors) {
+    statusEl.textContent = message;
+    errorsEl.replaceChildren(...errors.map(error => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      return item;
+    }));
+  }
+  
+  function saveDraft() {
+    storage.set('creator-draft', model);
+    report();
+  }
+  
+  // Structural changes re-render the page (which re-decorates it through contentchange)
+  function commit() {
+    saveDraft();
+    window.pageContent.render(model);
+  }
+  
+  function decorate() {
+    $$('main [data-content-path]').forEach(el => {
+      try {
+        el.contentEditable = 'plaintext-only';
+      } catch (e) {
+        el.contentEditable = 'true';
+      }
+    });
+    
+    Object.entries(LISTS).forEach(([path, list]) => {
+      const items = $$(list.selector);
+      items.forEach((item, index) => {
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'creator-remove';
+        removeBtn.title = 'Remove';
+        removeBtn.textContent = '✕';
+        removeBtn.disabled = items.length === 1;
+        removeBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          getAt(path).splice(index, 1);
+          commit();
+        });
+        item.appendChild(removeBtn);
       });
     });
+  }
+  
+  // Inline edits only touch the model; re-rendering would move the caret
+  document.addEventListener('input', (e) => {
+    const el = e.target.closest?.('main [data-content-path]');
+    if (!el || !model) return;
+    setAt(el.dataset.contentPath, el.textContent.trim());
+    saveDraft();
   });
-
-  hero.addEventListener('pointerleave', () => {
-    targets.forEach((el) => {
-      el.style.transform = 'translate3d(0,0,0) scale(1)';
-    });
+  
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.target.closest?.('main [data-content-path]')) {
+      e.preventDefault();
+      e.target.blur();
+    }
   });
-})();
-
-/* ===== Advanced Scroll reveal animations ===== */
-(function scrollReveal() {
-  const revealEls = $$('.reveal, .card');
-  if (!revealEls.length) return;
-
-  // Use Intersection Observer for better performance
-  const observer = new IntersectionObserver((entries) => {
-    entries.forEach((entry, index) => {
-      if (entry.isIntersecting) {
-        if (window.gsap && window.ScrollTrigger) {
-          gsap.to(entry.target, {
-            opacity: 1,
-            y: 0,
-            scale: 1,
-            duration: 1,
-            ease: 'power3.out',
-            delay: index * 0.1
-          });
-        } else {
-          entry.target.style.opacity = '1';
-          entry.target.style.transform = 'translateY(0) scale(1)';
-        }
-        observer.unobserve(entry.target);
-      }
+  
+  // --- Quiz & events dialog ---
+  
+  function field(labelText, control) {
+    const label = document.createElement('label');
+    label.className = 'creator-field';
+    label.append(labelText, control);
+    return label;
+  }
+  
+  function input(path, type = 'text') {
+    const el = document.createElement('input');
+    el.type = type;
+    el.value = getAt(path) ?? '';
+    el.addEventListener('input', () => {
+      // Optional fields disappear instead of staying empty
+      const optional = /\.(description)$/.test(path);
+      setAt(path, el.value.trim() || (optional ? undefined : ''));
+      saveDraft();
     });
-  }, { 
-    threshold: 0.15,
-    rootMargin: '0px 0px -50px 0px'
-  });
-
-  revealEls.forEach((el) => observer.observe(el));
-})();
-
-/* ===== Enhanced Button interactions ===== */
-(function interactions() {
-  // Use event delegation for better performance
-  document.addEventListener('click', (e) => {
-    const target = e.target.closest('.btn');
-    if (!target) return;
+    return el;
+  }
+  
+  function removeButton(onRemove) {
+    const el = document.createElement('button');
+    el.type = 'button';
+    el.className = 'btn ghost';
+    el.textContent = '🗑️ Usuń';
+    el.addEventListener('click', onRemove);
+    return el;
+  }
+  
+  function questionEditor(question, index) {
+    const path = `quiz.questions[${index}]`;
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = `Pytanie ${index + 1}`;
     
-    // Add ripple effect
-    createRippleEffect(target, e);
+    const options = document.createElement('textarea');
+    options.rows = 4;
+    options.value = question.options.join('\n');
     
-    // Add haptic feedback if supported
-    if (navigator.vibrate) {
-      navigator.vibrate(50);
+    const answer = document.createElement('select');
+    function fillAnswers() {
+      answer.replaceChildren(...question.options.map(option => new Option(option, option, false, option === question.answer)));
     }
-  });
-
-  const startBtn = document.getElementById('startButton');
-  const confettiBtn = document.getElementById('confettiButton');
-  const finaleBtn = document.getElementById('finaleButton');
-
-  function shootConfetti(power = 1) {
-    if (!window.confetti) return;
+    fillAnswers();
     
-    // Use modern confetti with better performance
-    const count = Math.floor(200 * power);
-    const defaults = { 
-      spread: 70, 
-      startVelocity: 38, 
-      ticks: 260, 
-      zIndex: 1000,
-      useWorker: true // Use Web Worker for better performance
-    };
-
-    function fire(particleRatio, opts) {
-      confetti(Object.assign({}, defaults, opts, {
-        particleCount: Math.floor(count * particleRatio),
-      }));
-    }
-
-    fire(0.25, { spread: 26, startVelocity: 55, colors: ['#ff4d6d', '#ffd166'] });
-    fire(0.2, { spread: 60, colors: ['#ff6b9d', '#ff8fa3'] });
-    fire(0.35, { spread: 100, decay: 0.91, scalar: 0.9, colors: ['#ff4d6d', '#ffd166', '#ff6b9d'] });
-    fire(0.1, { spread: 120, startVelocity: 25, decay: 0.92, colors: ['#ffd166'] });
-    fire(0.1, { spread: 120, startVelocity: 45, colors: ['#ff4d6d'] });
-  }
-
-  function pulseButtons() {
-    if (!window.gsap) return;
-    gsap.fromTo('.btn', 
-      { y: 0, scale: 1 }, 
-      { y: -3, scale: 1.05, repeat: 1, yoyo: true, duration: 0.2, ease: 'power1.out' }
+    options.addEventListener('input', () => {
+      question.options = options.value.split('\n').map(line => line.trim()).filter(Boolean);
+      if (!question.options.includes(question.answer)) question.answer = question.options[0] || '';
+      fillAnswers();
+      saveDraft();
+    });
+    answer.addEventListener('change', () => {
+      question.answer = answer.value;
+      saveDraft();
+    });
+    
+    fieldset.append(
+      legend,
+      field('Pytanie', input(`${path}.question`)),
+      field('Odpowiedzi (każda w nowej linii)', options),
+      field('Poprawna odpowiedź', answer),
+      removeButton(() => {
+        model.quiz.questions.splice(index, 1);
+        commit();
+        openEditor('quiz');
+      })
     );
+    return fieldset;
   }
-
-  function createRippleEffect(button, event) {
-    const ripple = document.createElement('span');
-    const rect = button.getBoundingClientRect();
-    const size = Math.max(rect.width, rect.height);
-    const x = event.clientX - rect.left - size / 2;
-    const y = event.clientY - rect.top - size / 2;
+  
+  function eventEditor(event, index) {
+    const path = `events[${index}]`;
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = event.title || `Wydarzenie ${index + 1}`;
     
-    ripple.style.cssText = `
-      position: absolute;
-      width: ${size}px;
-      height: ${size}px;
-      left: ${x}px;
-      top: ${y}px;
-      background: rgba(255, 255, 255, 0.3);
-      border-radius: 50%;
-      transform: scale(0);
-      animation: ripple 0.6s linear;
-      pointer-events: none;
-    `;
+    const repeat = document.createElement('select');
+    repeat.append(new Option('Jednorazowo', 'none'), new Option('Co roku', 'yearly'));
+    repeat.value = event.repeat || 'none';
+    repeat.addEventListener('change', () => {
+      event.repeat = repeat.value;
+      saveDraft();
+    });
     
-    button.style.position = 'relative';
-    button.appendChild(ripple);
+    const type = document.createElement('select');
+    type.append(
+      new Option('💕 Randka', 'date'),
+      new Option('💍 Rocznica', 'anniversary'),
+      new Option('🎂 Urodziny', 'birthday'),
+      new Option('⭐ Inne', 'other')
+    );
+    type.value = event.type || 'other';
+    type.addEventListener('change', () => {
+      event.type = type.value;
+      saveDraft();
+    });
     
-    setTimeout(() => ripple.remove(), 600);
+    fieldset.append(
+      legend,
+      field('Data', input(`${path}.date`, 'date')),
+      field('Tytuł', input(`${path}.title`)),
+      field('Opis (opcjonalnie)', input(`${path}.description`)),
+      field('Rodzaj', type),
+      field('Powtarzanie', repeat),
+      removeButton(() => {
+        model.events.splice(index, 1);
+        if (!model.events.length) delete model.events;
+        commit();
+        openEditor('events');
+      })
+    );
+    return fieldset;
   }
-
-  startBtn?.addEventListener('click', () => {
-    pulseButtons();
-    shootConfetti(1.2);
-    if (window.gsap) {
-      gsap.timeline()
-        .to('#nameSpan', { 
-          color: '#ffd166', 
-          scale: 1.1, 
-          duration: 0.6, 
-          ease: 'back.out(2)',
-          textShadow: '0 0 20px rgba(255, 209, 102, 0.5)'
-        })
-        .to('.title', { 
-          textShadow: '0 15px 40px rgba(255,77,109,0.6)', 
-          duration: 0.6 
-        }, '<')
-        .to('.hero::after', { 
-          scale: 1.5, 
-          opacity: 0.8, 
-          duration: 0.8 
-        }, '<');
+  
+  function openEditor(kind) {
+    const isQuiz = kind === 'quiz';
+    const heading = document.createElement('h3');
+    heading.textContent = isQuiz ? '❓ Pytania quizu' : '📅 Wydarzenia w kalendarzu';
+    
+    const list = document.createElement('div');
+    list.className = 'creator-dialog-list';
+    if (isQuiz) {
+      list.append(...model.quiz.questions.map(questionEditor));
+    } else {
+      list.append(...(model.events || []).map(eventEditor));
     }
     
-    $$('.title, .subtitle, .lead').forEach(el => {
-      el.classList.add('floating');
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'btn ghost';
+    addBtn.textContent = isQuiz ? '➕ Dodaj pytanie' : '➕ Dodaj wydarzenie';
+    addBtn.addEventListener('click', () => {
+      if (isQuiz) {
+        model.quiz.questions.push({ question: 'Nowe pytanie?', options: ['Tak', 'Nie'], answer: 'Tak' });
+      } else {
+        model.events = model.events || [];
+        model.events.push({ date: new Date().toISOString().slice(0, 10), title: 'Nowe wydarzenie', repeat: 'yearly' });
+      }
+      commit();
+      openEditor(kind);
     });
-  });
-
-  confettiBtn?.addEventListener('click', () => {
-    pulseButtons();
-    shootConfetti(1.6);
     
-    if (window.gsap) {
-      gsap.to('.card', { 
-        scale: 1.05, 
-        duration: 0.3, 
-        ease: 'power2.out',
-        stagger: 0.1,
-        yoyo: true,
-        repeat: 1
-      });
-    }
-  });
-
-  finaleBtn?.addEventListener('click', () => {
-    pulseButtons();
-    shootConfetti(2);
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'btn primary';
+    closeBtn.textContent = 'Gotowe';
+    closeBtn.addEventListener('click', () => dialog.close());
     
-    if (window.gsap) {
-      gsap.timeline()
-        .to('.script', { 
-          scale: 1.1, 
-          duration: 0.4, 
-          ease: 'back.out(2)' 
-        })
-        .to(window, { 
-          duration: 0.8, 
-          scrollTo: 0, 
-          ease: 'power2.out' 
-        }, '-=0.2');
-    } else {
-      window.scrollTo({ top: 0, behavior: 'smooth' });
-    }
-  });
-})();
-
-/* ===== Enhanced floating animations ===== */
-(function floatHero() {
-  if (!window.gsap || prefersReducedMotion) return;
+    const actions = document.createElement('div');
+    actions.className = 'creator-actions';
+    actions.append(addBtn, closeBtn);
+    
+    dialog.replaceChildren(heading, list, actions);
+    if (!dialog.open) dialog.showModal();
+  }
   
-  const items = ['.title', '.subtitle', '.lead'];
-  items.forEach((sel, i) => {
-    gsap.to(sel, {
-      y: 8 + i * 3,
-      duration: 2.5 + i * 0.4,
-      ease: 'sine.inOut',
-      yoyo: true,
-      repeat: -1,
-    });
-  });
-})();
-
-/* ===== Interactive card effects ===== */
-(function cardInteractions() {
-  const cards = $$('.card');
+  // Text edits in the dialog reach the page when it closes
+  dialog.addEventListener('close', () => window.pageContent.render(model));
   
-  // Use Intersection Observer for better performance
-  const observer = new IntersectionObserver((entries) => {
-    entries.forEach(entry => {
-      if (entry.isIntersecting) {
-        entry.target.style.willChange = 'transform';
-      } else {
-        entry.target.style.willChange = 'auto';
-      }
-    });
-  }, { threshold: 0.1 });
+  // --- Export ---
   
-  cards.forEach(card => observer.observe(card));
+  function download(blob, filename) {
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = URL.createObjectURL(blob);
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
   
-  cards.forEach(card => {
-    card.addEventListener('mouseenter', () => {
-      if (window.gsap) {
-        gsap.to(card, { 
-          scale: 1.02, 
-          duration: 0.3, 
-          ease: 'power2.out' 
-        });
-      }
-    });
-    
-    card.addEventListener('mouseleave', () => {
-      if (window.gsap) {
-        gsap.to(card, { 
-          scale: 1, 
-          duration: 0.3, 
-          ease: 'power2.out' 
-        });
-      }
-    });
+  const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
   });
-})();
-
-/* ===== Auto-scroll carousel ===== */
-(function autoScrollCarousel() {
-  const carousel = $('.carousel');
-  if (!carousel || prefersReducedMotion) return;
-  
-  // Use requestAnimationFrame for smooth scrolling
-  let scrollPosition = 0;
-  const scrollSpeed = 0.5;
-  let animationId;
   
-  function autoScroll() {
-    scrollPosition += scrollSpeed;
-    if (scrollPosition >= carousel.scrollWidth - carousel.clientWidth) {
-      scrollPosition = 0;
-    }
-    carousel.scrollLeft = scrollPosition;
-    animationId = requestAnimationFrame(autoScroll);
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
   }
   
-  const startAutoScroll = () => {
-    if (!animationId) {
-      animationId = requestAnimationFrame(autoScroll);
-    }
-  };
-  
-  const stopAutoScroll = () => {
-    if (animationId) {
-      cancelAnimationFrame(animationId);
-      animationId = null;
-    }
-  };
-  
-  carousel.addEventListener('mouseenter', stopAutoScroll);
-  carousel.addEventListener('mouseleave', startAutoScroll);
-  
-  startAutoScroll();
-})();
-
-/* ===== Typing effect for title ===== */
-(function typingEffect() {
-  const title = $('.title');
-  if (!title || prefersReducedMotion) return;
-  
-  // Use modern text animation with better performance
-  const text = title.textContent;
-  title.textContent = '';
+  // Minimal ZIP writer: stored (uncompressed) entries with UTF-8 names,
+  // which is plenty for a handful of text files and already-compressed audio
+  function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    
+    files.forEach(({ name, data }) => {
+      const nameBytes = encoder.encode(name);
+      const crc = crc32(data);
+      
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, nameBytes.length, true);
+      parts.push(local, nameBytes, data);
+      
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014B50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(12, dosTime, true);
+      entry.setUint16(14, dosDate, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, nameBytes.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(entry, nameBytes);
+      
+      offset += 30 + nameBytes.length + data.length;
+    });
+    
+    const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+  }
   
-  let i = 0;
-  const typeWriter = () => {
-    if (i < text.length) {
-      title.textContent += text.charAt(i);
-      i++;
-      setTimeout(typeWriter, 100);
+  function exportable() {
+    const errors = report();
+    if (errors.length) {
+      statusEl.textContent = `⚠️ Najpierw popraw błędy (${errors.length}), potem eksportuj.`;
+      return false;
     }
-  };
+    return true;
+  }
   
-  // Start typing after a short delay
-  setTimeout(typeWriter, 500);
-})();
-
-/* ===== Add CSS for ripple effect ===== */
-(function addRippleCSS() {
-  if (document.getElementById('ripple-css')) return;
+  function contentJson() {
+    return JSON.stringify(model, null, 2) + '\n';
+  }
   
-  const style = document.createElement('style');
-  style.id = 'ripple-css';
-  style.textContent = `
-    @keyframes ripple {
-      to {
-        transform: scale(4);
-        opacity: 0;
+  async function exportBundle() {
+    statusEl.textContent = '📦 Pakowanie plików...';
+    const songs = (window.musicPlaylist?.tracks || [])
+      .filter(track => !track.removable)
+      .flatMap(track => [track.src, track.lyrics].filter(Boolean));
+    const files = [];
+    
+    for (const name of [...BUNDLE_FILES, ...songs]) {
+      try {
+        const response = await fetch(name);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        files.push({ name, data: new Uint8Array(await response.arrayBuffer()) });
+      } catch (error) {
+        logger.warn(`Bundle: skipping ${name} (${error.message})`);
       }
     }
-  `;
-  document.head.appendChild(style);
-})();
-
-/* ===== Service Worker Registration ===== */
-(function registerServiceWorker() {
-  if (supportsServiceWorker) {
-    navigator.serviceWorker.register('/sw.js')
-      .then(registration => {
-        logger.info('Service Worker registered successfully');
-      })
-      .catch(error => {
-        logger.error('Service Worker registration failed: ' + error);
-      });
-  }
-})();
-
-/* ===== Web Worker for Heavy Computations ===== */
-(function setupWebWorker() {
-  if (supportsWebWorkers) {
-    const worker = new Worker(URL.createObjectURL(new Blob([`
-      self.onmessage = function(e) {
-        // Heavy computations can be done here
-        const result = e.data * 2;
-        self.postMessage(result);
-      };
-    `])));
+    files.push({ name: 'content.json', data: new TextEncoder().encode(contentJson()) });
     
-    worker.onmessage = function(e) {
-      logger.debug('Web Worker result: ' + e.data);
-    };
-    
-    // Store worker reference globally
-    window.backgroundWorker = worker;
-  }
-})();
-
-/* ===== Initialize everything ===== */
-document.addEventListener('DOMContentLoaded', () => {
-  performanceMonitor.start('page-load');
-  
-  addRippleCSS();
-  registerServiceWorker();
-  setupWebWorker();
-  
-  // Add some initial animations
-  if (window.gsap) {
-    gsap.from('.hero-inner', { 
-      opacity: 0, 
-      y: 50, 
-      duration: 1.2, 
-      ease: 'power3.out' 
-    });
+    download(createZip(files), 'urodziny.zip');
+    statusEl.textContent = `✓ Paczka gotowa (${files.length} plików)`;
   }
   
-  performanceMonitor.end('page-load');
-  
-  // Log browser capabilities
-  logger.info(`WebGL: ${supportsWebGL}, WebGL2: ${supportsWebGL2}`);
-  logger.info(`Web Workers: ${supportsWebWorkers}, Service Workers: ${supportsServiceWorker}`);
-  logger.info(`Web Audio: ${supportsWebAudio}`);
-});
-
-/* ===== Countdown Timer ===== */
-(function countdownTimer() {
-  const hoursEl = document.getElementById('hours');
-  const minutesEl = document.getElementById('minutes');
-  const secondsEl = document.getElementById('seconds');
-  
-  if (!hoursEl || !minutesEl || !secondsEl) return;
-  
-  function updateCountdown() {
-    const now = new Date();
-    const endOfDay = new Date();
-    endOfDay.setHours(23, 59, 59, 999);
+  toolbar.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button || !model) return;
     
-    const diff = endOfDay - now;
+    switch (button.dataset.action) {
+      case 'add':
+        getAt(button.dataset.list).push(LISTS[button.dataset.list].template());
+        commit();
+        break;
+      case 'quiz':
+      case 'events':
+        openEditor(button.dataset.action);
+        break;
+      case 'json':
+        if (exportable()) download(new Blob([contentJson()], { type: 'application/json' }), 'content.json');
+        break;
+      case 'bundle':
+        if (exportable()) {
+          exportBundle().catch(error => {
+            logger.error('Bundle export failed: ' + error.message);
+            statusEl.textContent = '⚠️ Nie udało się przygotować paczki';
+          });
+        }
+        break;
+      case 'reset':
+        if (confirm('Odrzucić wszystkie zmiany i wrócić do content.json?')) {
+          storage.set('creator-draft', null);
+          location.reload();
+        }
+        break;
+      case 'exit': {
+        const url = new URL(location.href);
+        url.searchParams.delete('edit');
+        location.href = url.href;
+        break;
+      }
+    }
+  });
+  
+  // Creator mode reads content.json itself, since a broken file is exactly when it is needed.
+  // An unfinished draft takes over, but only if it still passes validation.
+  async function start() {
+    const { content, error, errors } = await window.pageContent.fetch();
+    const draft = storage.get('creator-draft');
+    const draftErrors = draft ? window.pageContent.validate(draft) : [];
     
-    if (diff > 0) {
-      const hours = Math.floor(diff / (1000 * 60 * 60));
-      const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
-      const seconds = Math.floor((diff % (1000 * 60)) / 1000);
-      
-      hoursEl.textContent = hours.toString().padStart(2, '0');
-      minutesEl.textContent = minutes.toString().padStart(2, '0');
-      secondsEl.textContent = seconds.toString().padStart(2, '0');
-      
-      // Add pulse effect to seconds
-      if (window.gsap) {
-        gsap.to(secondsEl, { 
-          scale: 1.1, 
-          duration: 0.3, 
-          ease: 'power2.out',
-          yoyo: true,
-          repeat: 1
-        });
+    if (draft && !draftErrors.length) {
+      model = draft;
+    } else {
+      if (draft) {
+        logger.warn(`Creator draft is invalid and was discarded:\n  - ${draftErrors.join('\n  - ')}`);
+        storage.set('creator-draft', null);
       }
+      if (!content || typeof content !== 'object') {
+        showErrors(`⚠️ ${error}`, []);
+        return;
+      }
+      model = structuredClone(content);
+    }
+    
+    try {
+      window.pageContent.render(model);
+    } catch (renderError) {
+      // Too broken to put on the page; the list says what to fix in the file
+      logger.warn('Creator mode could not render content.json: ' + renderError.message);
+      showErrors(`⚠️ ${error} Popraw plik i odśwież stronę.`, errors);
+      return;
+    }
+    if (draft && draftErrors.length) {
+      showErrors('⚠️ Zapisany szkic był niepoprawny, wczytano content.json.', draftErrors);
     }
   }
   
-  updateCountdown();
-  setInterval(updateCountdown, 1000);
+  document.addEventListener('contentchange', () => {
+    if (!model) return;
+    decorate();
+    report();
+  });
+  
+  document.body.classList.add('creator-mode');
+  document.body.append(toolbar, dialog);
+  statusEl.textContent = 'Wczytywanie content.json...';
+  start();
 })();
 
-/* ===== Enhanced Memory Cards ===== */
-(function memoryCards() {
-  const memoryCards = $$('.memory-card');
+/* ===== Enhanced Hearts Canvas Background ===== */
+(function heartsBackground() {
+  const canvas = document.getElementById('heartsCanvas');
+  if (!canvas) return;
   
-  memoryCards.forEach((card, index) => {
-    card.addEventListener('mouseenter', () => {
-      if (window.gsap) {
-        gsap.to(card, { 
-          scale: 1.05, 
-          duration: 0.4, 
-          ease: 'power2.out' 
-        });
+  // Use WebGL2 if available, fallback to 2D
+  let gl, program, isWebGL = false;
+  
+  if (supportsWebGL2) {
+    try {
+      gl = canvas.getContext('webgl2', { 
+        antialias: true, 
+        alpha: true, 
+        premultipliedAlpha: false 
+      });
+      if (gl) {
+        isWebGL = true;
+        setupWebGL();
+      }
+    } catch (e) {
+      logger.warn('WebGL2 failed, falling back to 2D: ' + e.message);
+    }
+  }
+  
+  if (!isWebGL) {
+    // Fallback to 2D canvas
+    setup2DCanvas();
+  }
+  
+  function setupWebGL() {
+    // WebGL2 shader setup for hearts
+    const vertexShader = `#version 300 es
+      in vec2 a_position;
+      in vec2 a_texCoord;
+      out vec2 v_texCoord;
+      uniform mat3 u_matrix;
+      
+      void main() {
+        gl_Position = vec4((u_matrix * vec3(a_position, 1.0)).xy, 0.0, 1.0);
+        v_texCoord = a_texCoord;
+      }
+    `;
+    
+    const fragmentShader = `#version 300 es
+      precision mediump float;
+      in vec2 v_texCoord;
+      out vec4 outColor;
+      uniform float u_time;
+      
+      void main() {
+        vec2 uv = v_texCoord - 0.5;
+        float dist = length(uv);
+        float heart = smoothstep(0.5, 0.4, dist);
+        vec3 color = mix(vec3(1.0, 0.2, 0.4), vec3(1.0, 0.6, 0.7), heart);
+        outColor = vec4(color, heart * 0.8);
+      }
+    `;
+    
+    // Compile shaders and create program
+    const vs = gl.createShader(gl.VERTEX_SHADER);
+    gl.shaderSource(vs, vertexShader);
+    gl.compileShader(vs);
+    
+    const fs = gl.createShader(gl.FRAGMENT_SHADER);
+    gl.shaderSource(fs, fragmentShader);
+    gl.compileShader(fs);
+    
+    program = gl.createProgram();
+    gl.attachShader(program, vs);
+    gl.attachShader(program, fs);
+    gl.linkProgram(program);
+    
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error('WebGL program link failed');
+    }
+    
+    gl.useProgram(program);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+  }
+  
+  function setup2DCanvas() {
+    // Original 2D canvas implementation
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    
+    let width, height, dpr;
+    const hearts = [];
+    const maxHearts = 100;
+    const sparkles = [];
+    let beatPulse = 0;
+    
+    // Breathe with the music
+    document.getElementById('audioPlayer')?.addEventListener('beat', (e) => {
+      beatPulse = Math.max(beatPulse, e.detail.strength);
+    });
+    
+    function resize() {
+      dpr = Math.min(window.devicePixelRatio || 1, 2);
+      width = canvas.clientWidth = window.innerWidth;
+      height = canvas.clientHeight = window.innerHeight;
+      canvas.width = Math.floor(width * dpr);
+      canvas.height = Math.floor(height * dpr);
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+    
+    function createHeart(x = Math.random() * width, y = height + 20) {
+      const size = 6 + Math.random() * 10;
+      const speedY = 0.4 + Math.random() * 1.1;
+      const driftX = (Math.random() - 0.5) * 0.6;
+      const rotate = Math.random() * Math.PI;
+      const opacity = 0.5 + Math.random() * 0.5;
+      const pulse = Math.random() * 0.1;
+      return { x, y, size, speedY, driftX, rotate, opacity, pulse, originalSize: size };
+    }
+    
+    function createSparkle() {
+      return {
+        x: Math.random() * width,
+        y: Math.random() * height,
+        size: 2 + Math.random() * 3,
+        speed: 0.5 + Math.random() * 1,
+        opacity: 0.3 + Math.random() * 0.7,
+        life: 1
+      };
+    }
+    
+    function drawHeart(h) {
+      ctx.save();
+      ctx.translate(h.x, h.y);
+      ctx.rotate(h.rotate);
+      ctx.globalAlpha = h.opacity;
+      
+      const pulseSize = h.size + Math.sin(Date.now() * 0.005 + h.pulse) * 2 + beatPulse * h.size * 0.5;
+      
+      const grad = ctx.createRadialGradient(-pulseSize * 0.1, -pulseSize * 0.1, 0, 0, 0, pulseSize);
+      grad.addColorStop(0, '#ffffff');
+      grad.addColorStop(0.4, '#ff9eb1');
+      grad.addColorStop(1, '#ff4d6d');
+      ctx.fillStyle = grad;
+      
+      ctx.beginPath();
+      ctx.moveTo(0, pulseSize / 3);
+      ctx.bezierCurveTo(pulseSize, -pulseSize / 2, pulseSize * 1.3, pulseSize * 0.9, 0, pulseSize * 1.4);
+      ctx.bezierCurveTo(-pulseSize * 1.3, pulseSize * 0.9, -pulseSize, -pulseSize / 2, 0, pulseSize / 3);
+      ctx.closePath();
+      ctx.fill();
+      
+      ctx.shadowColor = '#ff4d6d';
+      ctx.shadowBlur = 8;
+      ctx.fill();
+      ctx.shadowBlur = 0;
+      
+      ctx.restore();
+    }
+    
+    function drawSparkle(s) {
+      ctx.save();
+      ctx.globalAlpha = s.opacity;
+      ctx.fillStyle = '#ffd166';
+      
+      ctx.beginPath();
+      ctx.moveTo(s.x, s.y - s.size);
+      ctx.lineTo(s.x + s.size * 0.5, s.y);
+      ctx.lineTo(s.x, s.y + s.size);
+      ctx.lineTo(s.x - s.size * 0.5, s.y);
+      ctx.closePath();
+      ctx.fill();
+      
+      ctx.restore();
+    }
+    
+    function update() {
+      if (prefersReducedMotion) return;
+      
+      beatPulse *= 0.9;
+      if (hearts.length < maxHearts && Math.random() < 0.8) hearts.push(createHeart());
+      for (let i = hearts.length - 1; i >= 0; i--) {
+        const h = hearts[i];
+        h.y -= h.speedY;
+        h.x += h.driftX;
+        h.rotate += 0.005;
+        if (h.y < -20) hearts.splice(i, 1);
+      }
+      
+      if (sparkles.length < 50 && Math.random() < 0.3) sparkles.push(createSparkle());
+      for (let i = sparkles.length - 1; i >= 0; i--) {
+        const s = sparkles[i];
+        s.y -= s.speed;
+        s.life -= 0.01;
+        if (s.life <= 0 || s.y < -10) sparkles.splice(i, 1);
+      }
+    }
+    
+    function render() {
+      ctx.clearRect(0, 0, width, height);
+      
+      for (const s of sparkles) drawSparkle(s);
+      for (const h of hearts) drawHeart(h);
+    }
+    
+    function loop() {
+      update();
+      render();
+      requestAnimationFrame(loop);
+    }
+    
+    resize();
+    window.addEventListener('resize', resize);
+    loop();
+  }
+})();
+
+/* ===== Enhanced Parallax on hero text ===== */
+(function parallaxHero() {
+  const hero = document.getElementById('hero');
+  if (!hero || prefersReducedMotion) return;
+  const targets = $$('.title, .subtitle, .lead', hero);
+
+  // Use Intersection Observer for better performance
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+      if (entry.isIntersecting) {
+        entry.target.style.willChange = 'transform';
+      } else {
+        entry.target.style.willChange = 'auto';
+      }
+    });
+  }, { threshold: 0.1 });
+  
+  targets.forEach(target => observer.observe(target));
+
+  hero.addEventListener('pointermove', (e) => {
+    // Use requestAnimationFrame for smooth performance
+    requestAnimationFrame(() => {
+      const rect = hero.getBoundingClientRect();
+      const cx = e.clientX - rect.left - rect.width / 2;
+      const cy = e.clientY - rect.top - rect.height / 2;
+      
+      targets.forEach((el) => {
+        const depth = Number(el.dataset.depth || 4);
+        const tx = (-cx / rect.width) * depth * 15;
+        const ty = (-cy / rect.height) * depth * 15;
+        const scale = 1 + Math.abs(cx + cy) / (rect.width + rect.height) * 0.02;
         
-        // Stagger animation for icon
-        gsap.to(card.querySelector('.memory-icon'), {
+        el.style.transform = `translate3d(${tx}px, ${ty}px, 0) scale(${scale})`;
+      });
+    });
+  });
+
+  hero.addEventListener('pointerleave', () => {
+    targets.forEach((el) => {
+      el.style.transform = 'translate3d(0,0,0) scale(1)';
+    });
+  });
+})();
+
+/* ===== Advanced Scroll reveal animations ===== */
+(function scrollReveal() {
+  const revealEls = $$('.reveal, .card');
+  if (!revealEls.length) return;
+
+  // Use Intersection Observer for better performance
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach((entry, index) => {
+      if (entry.isIntersecting) {
+        if (window.gsap && window.ScrollTrigger) {
+          gsap.to(entry.target, {
+            opacity: 1,
+            y: 0,
+            scale: 1,
+            duration: 1,
+            ease: 'power3.out',
+            delay: index * 0.1
+          });
+        } else {
+          entry.target.style.opacity = '1';
+          entry.target.style.transform = 'translateY(0) scale(1)';
+        }
+        observer.unobserve(entry.target);
+      }
+    });
+  }, { 
+    threshold: 0.15,
+    rootMargin: '0px 0px -50px 0px'
+  });
+
+  revealEls.forEach((el) => observer.observe(el));
+  
+  // Sections rendered from content.json bring their own .reveal elements
+  document.addEventListener('contentchange', (e) => {
+    e.detail.roots.forEach(root => {
+      $$('.reveal, .card', root).forEach(el => observer.observe(el));
+    });
+  });
+})();
+
+/* ===== Enhanced Button interactions ===== */
+(function interactions() {
+  // Use event delegation for better performance
+  document.addEventListener('click', (e) => {
+    const target = e.target.closest('.btn');
+    if (!target) return;
+    
+    // Add ripple effect
+    createRippleEffect(target, e);
+    
+    // Add haptic feedback if supported
+    if (navigator.vibrate) {
+      navigator.vibrate(50);
+    }
+  });
+
+  const startBtn = document.getElementById('startButton');
+  const confettiBtn = document.getElementById('confettiButton');
+  const finaleBtn = document.getElementById('finaleButton');
+
+  function shootConfetti(power = 1) {
+    if (!window.confetti) return;
+    
+    // Use modern confetti with better performance
+    const count = Math.floor(200 * power);
+    const defaults = { 
+      spread: 70, 
+      startVelocity: 38, 
+      ticks: 260, 
+      zIndex: 1000,
+      useWorker: true // Use Web Worker for better performance
+    };
+
+    function fire(particleRatio, opts) {
+      confetti(Object.assign({}, defaults, opts, {
+        particleCount: Math.floor(count * particleRatio),
+      }));
+    }
+
+    fire(0.25, { spread: 26, startVelocity: 55, colors: ['#ff4d6d', '#ffd166'] });
+    fire(0.2, { spread: 60, colors: ['#ff6b9d', '#ff8fa3'] });
+    fire(0.35, { spread: 100, decay: 0.91, scalar: 0.9, colors: ['#ff4d6d', '#ffd166', '#ff6b9d'] });
+    fire(0.1, { spread: 120, startVelocity: 25, decay: 0.92, colors: ['#ffd166'] });
+    fire(0.1, { spread: 120, startVelocity: 45, colors: ['#ff4d6d'] });
+  }
+  
+  // Shared with the birthday countdown and milestone celebrations
+  window.shootConfetti = shootConfetti;
+
+  function pulseButtons() {
+    if (!window.gsap) return;
+    gsap.fromTo('.btn', 
+      { y: 0, scale: 1 }, 
+      { y: -3, scale: 1.05, repeat: 1, yoyo: true, duration: 0.2, ease: 'power1.out' }
+    );
+  }
+
+  function createRippleEffect(button, event) {
+    const ripple = document.createElement('span');
+    const rect = button.getBoundingClientRect();
+    const size = Math.max(rect.width, rect.height);
+    const x = event.clientX - rect.left - size / 2;
+    const y = event.clientY - rect.top - size / 2;
+    
+    ripple.style.cssText = `
+      position: absolute;
+      width: ${size}px;
+      height: ${size}px;
+      left: ${x}px;
+      top: ${y}px;
+      background: rgba(255, 255, 255, 0.3);
+      border-radius: 50%;
+      transform: scale(0);
+      animation: ripple 0.6s linear;
+      pointer-events: none;
+    `;
+    
+    button.style.position = 'relative';
+    button.appendChild(ripple);
+    
+    setTimeout(() => ripple.remove(), 600);
+  }
+
+  startBtn?.addEventListener('click', () => {
+    pulseButtons();
+    shootConfetti(1.2);
+    if (window.gsap) {
+      gsap.timeline()
+        .to('#nameSpan', { 
+          color: '#ffd166', 
+          scale: 1.1, 
+          duration: 0.6, 
+          ease: 'back.out(2)',
+          textShadow: '0 0 20px rgba(255, 209, 102, 0.5)'
+        })
+        .to('.title', { 
+          textShadow: '0 15px 40px rgba(255,77,109,0.6)', 
+          duration: 0.6 
+        }, '<')
+        .to('.hero::after', { 
+          scale: 1.5, 
+          opacity: 0.8, 
+          duration: 0.8 
+        }, '<');
+    }
+    
+    $$('.title, .subtitle, .lead').forEach(el => {
+      el.classList.add('floating');
+    });
+  });
+
+  confettiBtn?.addEventListener('click', () => {
+    pulseButtons();
+    shootConfetti(1.6);
+    
+    if (window.gsap) {
+      gsap.to('.card', { 
+        scale: 1.05, 
+        duration: 0.3, 
+        ease: 'power2.out',
+        stagger: 0.1,
+        yoyo: true,
+        repeat: 1
+      });
+    }
+  });
+
+  finaleBtn?.addEventListener('click', () => {
+    pulseButtons();
+    shootConfetti(2);
+    
+    if (window.gsap) {
+      gsap.timeline()
+        .to('.script', { 
+          scale: 1.1, 
+          duration: 0.4, 
+          ease: 'back.out(2)' 
+        })
+        .to(window, { 
+          duration: 0.8, 
+          scrollTo: 0, 
+          ease: 'power2.out' 
+        }, '-=0.2');
+    } else {
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+  });
+})();
+
+/* ===== Enhanced floating animations ===== */
+(function floatHero() {
+  if (!window.gsap || prefersReducedMotion) return;
+  
+  const items = ['.title', '.subtitle', '.lead'];
+  items.forEach((sel, i) => {
+    gsap.to(sel, {
+      y: 8 + i * 3,
+      duration: 2.5 + i * 0.4,
+      ease: 'sine.inOut',
+      yoyo: true,
+      repeat: -1,
+    });
+  });
+})();
+
+/* ===== Interactive card effects ===== */
+(function cardInteractions() {
+  // Use Intersection Observer for better performance
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+      if (entry.isIntersecting) {
+        entry.target.style.willChange = 'transform';
+      } else {
+        entry.target.style.willChange = 'auto';
+      }
+    });
+  }, { threshold: 0.1 });
+  
+  function enhance(cards) {
+    cards.forEach(card => observer.observe(card));
+    
+    cards.forEach(card => {
+      card.addEventListener('mouseenter', () => {
+        if (window.gsap) {
+          gsap.to(card, { 
+            scale: 1.02, 
+            duration: 0.3, 
+            ease: 'power2.out' 
+          });
+        }
+      });
+      
+      card.addEventListener('mouseleave', () => {
+        if (window.gsap) {
+          gsap.to(card, { 
+            scale: 1, 
+            duration: 0.3, 
+            ease: 'power2.out' 
+          });
+        }
+      });
+    });
+  }
+  
+  enhance($$('.card'));
+  
+  // Cards rendered from content.json replace the built-in ones
+  document.addEventListener('contentchange', (e) => {
+    e.detail.roots.forEach(root => enhance($$('.card', root)));
+  });
+})();
+
+/* ===== Auto-scroll carousel ===== */
+(function autoScrollCarousel() {
+  const carousel = $('.carousel');
+  if (!carousel || prefersReducedMotion) return;
+  
+  // Use requestAnimationFrame for smooth scrolling
+  let scrollPosition = 0;
+  const scrollSpeed = 0.5;
+  let animationId;
+  
+  function autoScroll() {
+    scrollPosition += scrollSpeed;
+    if (scrollPosition >= carousel.scrollWidth - carousel.clientWidth) {
+      scrollPosition = 0;
+    }
+    carousel.scrollLeft = scrollPosition;
+    animationId = requestAnimationFrame(autoScroll);
+  }
+  
+  const startAutoScroll = () => {
+    if (!animationId) {
+      animationId = requestAnimationFrame(autoScroll);
+    }
+  };
+  
+  const stopAutoScroll = () => {
+    if (animationId) {
+      cancelAnimationFrame(animationId);
+      animationId = null;
+    }
+  };
+  
+  carousel.addEventListener('mouseenter', stopAutoScroll);
+  carousel.addEventListener('mouseleave', startAutoScroll);
+  
+  startAutoScroll();
+})();
+
+/* ===== Typing effect for title ===== */
+(function typingEffect() {
+  const title = $('.title');
+  if (!title || prefersReducedMotion) return;
+  
+  // Use modern text animation with better performance
+  const text = title.textContent;
+  title.textContent = '';
+  
+  let i = 0;
+  const typeWriter = () => {
+    if (i < text.length) {
+      title.textContent += text.charAt(i);
+      i++;
+      setTimeout(typeWriter, 100);
+    }
+  };
+  
+  // Start typing after a short delay
+  setTimeout(typeWriter, 500);
+})();
+
+/* ===== Add CSS for ripple effect ===== */
+(function addRippleCSS() {
+  if (document.getElementById('ripple-css')) return;
+  
+  const style = document.createElement('style');
+  style.id = 'ripple-css';
+  style.textContent = `
+    @keyframes ripple {
+      to {
+        transform: scale(4);
+        opacity: 0;
+      }
+    }
+  `;
+  document.head.appendChild(style);
+})();
+
+/* ===== Service Worker Registration ===== */
+(function registerServiceWorker() {
+  if (supportsServiceWorker) {
+    navigator.serviceWorker.register('/sw.js')
+      .then(registration => {
+        logger.info('Service Worker registered successfully');
+      })
+      .catch(error => {
+        logger.error('Service Worker registration failed: ' + error);
+      });
+  }
+})();
+
+/* ===== Web Worker for Heavy Computations ===== */
+(function setupWebWorker() {
+  if (supportsWebWorkers) {
+    const worker = new Worker(URL.createObjectURL(new Blob([`
+      self.onmessage = function(e) {
+        // Heavy computations can be done here
+        const result = e.data * 2;
+        self.postMessage(result);
+      };
+    `])));
+    
+    worker.onmessage = function(e) {
+      logger.debug('Web Worker result: ' + e.data);
+    };
+    
+    // Store worker reference globally
+    window.backgroundWorker = worker;
+  }
+})();
+
+/* ===== Initialize everything ===== */
+document.addEventListener('DOMContentLoaded', () => {
+  performanceMonitor.start('page-load');
+  
+  addRippleCSS();
+  registerServiceWorker();
+  setupWebWorker();
+  
+  // Add some initial animations
+  if (window.gsap) {
+    gsap.from('.hero-inner', { 
+      opacity: 0, 
+      y: 50, 
+      duration: 1.2, 
+      ease: 'power3.out' 
+    });
+  }
+  
+  performanceMonitor.end('page-load');
+  
+  // Log browser capabilities
+  logger.info(`WebGL: ${supportsWebGL}, WebGL2: ${supportsWebGL2}`);
+  logger.info(`Web Workers: ${supportsWebWorkers}, Service Workers: ${supportsServiceWorker}`);
+  logger.info(`Web Audio: ${supportsWebAudio}`);
+});
+
+/* ===== Countdown Timer ===== */
+// Counts down to recipient.birthday in recipient.timezone (both from content.json):
+// "before" up to the day, "day" until its midnight, then "after" for a week.
+// The section stays hidden until a birthday is known.
+(function countdownTimer() {
+  const section = document.getElementById('countdown');
+  const headingEl = section?.querySelector('.script');
+  const textEl = section?.querySelector('.countdown-text');
+  const daysEl = document.getElementById('days');
+  const hoursEl = document.getElementById('hours');
+  const minutesEl = document.getElementById('minutes');
+  const secondsEl = document.getElementById('seconds');
+  
+  if (!section || !hoursEl || !minutesEl || !secondsEl) return;
+  
+  const DAY = 24 * 60 * 60 * 1000;
+  const AFTER_DAYS = 7;
+  
+  const MODES = {
+    before: {
+      heading: '⏳ Odliczanie do Twoich urodzin',
+      text: (age) => (age ? `do Twoich ${age}. urodzin!` : 'do Twojego wielkiego dnia!')
+    },
+    day: {
+      heading: '🎉 Twoje urodziny już dziś! 🎉',
+      text: () => 'do końca tego wspaniałego dnia!'
+    },
+    after: {
+      heading: '💖 Urodziny już za nami',
+      text: () => 'minęło od Twojego święta – a my świętujemy dalej!'
+    }
+  };
+  
+  let birthday = null;
+  let timeZone;
+  let mode = null;
+  
+  // Wall-clock parts of `time` as seen in the configured time zone
+  function zonedParts(time) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(time);
+    const get = (type) => Number(parts.find(part => part.type === type).value);
+    return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+  }
+  
+  function zoneOffset(time) {
+    const p = zonedParts(time);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(time / 1000) * 1000;
+  }
+  
+  // Midnight of a calendar day in the time zone; the second pass settles DST changes
+  function startOfDay(year, month, day) {
+    const wallClock = Date.UTC(year, month - 1, day);
+    const guess = wallClock - zoneOffset(wallClock);
+    return wallClock - zoneOffset(guess);
+  }
+  
+  function birthdayIn(year) {
+    const isLeap = new Date(year, 1, 29).getMonth() === 1;
+    // 29 February is celebrated on the 28th in common years
+    const day = birthday.month === 2 && birthday.day === 29 && !isLeap ? 28 : birthday.day;
+    return {
+      year,
+      start: startOfDay(year, birthday.month, day),
+      end: startOfDay(year, birthday.month, day + 1)
+    };
+  }
+  
+  // null while there is no date to count to
+  function currentState(now) {
+    if (!birthday) return null;
+    
+    const { year } = zonedParts(now);
+    const days = [year - 1, year, year + 1].map(birthdayIn);
+    const today = days.find(d => now >= d.start && now < d.end);
+    const age = (d) => (birthday.year ? d.year - birthday.year : null);
+    
+    if (today) return { mode: 'day', remaining: today.end - now, age: age(today) };
+    
+    const previous = days.filter(d => d.end <= now).pop();
+    if (previous && now - previous.end < AFTER_DAYS * DAY) {
+      return { mode: 'after', remaining: now - previous.start, age: age(previous) };
+    }
+    
+    const next = days.find(d => d.start > now);
+    return { mode: 'before', remaining: next.start - now, age: age(next) };
+  }
+  
+  function setMode(state) {
+    const previousMode = mode;
+    mode = state.mode;
+    section.dataset.mode = mode;
+    headingEl.textContent = MODES[mode].heading;
+    textEl.textContent = MODES[mode].text(state.age);
+    if (daysEl) daysEl.closest('.time-unit').hidden = mode === 'day';
+    
+    // Only the clock striking midnight earns the finale, not the first render
+    if (previousMode === 'before' && mode === 'day') {
+      celebrate();
+    }
+  }
+  
+  function celebrate() {
+    logger.info('Birthday countdown reached midnight');
+    const bursts = [0, 700, 1400];
+    bursts.forEach((delay, i) => setTimeout(() => window.shootConfetti?.(1.5 + i * 0.5), delay));
+    
+    if (window.gsap) {
+      gsap.fromTo(headingEl, 
+        { scale: 0.8, opacity: 0 }, 
+        { scale: 1, opacity: 1, duration: 0.8, ease: 'back.out(2)' }
+      );
+    }
+  }
+  
+  function updateCountdown() {
+    const now = Date.now();
+    const state = currentState(now);
+    section.hidden = !state;
+    if (!state) {
+      mode = null;
+      return;
+    }
+    if (state.mode !== mode) setMode(state);
+    
+    const totalSeconds = Math.max(0, Math.floor(state.remaining / 1000));
+    const days = Math.floor(totalSeconds / 86400);
+    // On the day itself hours are not wrapped into days
+    const hours = mode === 'day' ? Math.floor(totalSeconds / 3600) : Math.floor(totalSeconds / 3600) % 24;
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const seconds = totalSeconds % 60;
+    
+    if (daysEl) daysEl.textContent = days.toString();
+    hoursEl.textContent = hours.toString().padStart(2, '0');
+    minutesEl.textContent = minutes.toString().padStart(2, '0');
+    secondsEl.textContent = seconds.toString().padStart(2, '0');
+    
+    // Add pulse effect to seconds
+    if (window.gsap && mode !== 'after') {
+      gsap.to(secondsEl, { 
+        scale: mode === 'day' ? 1.2 : 1.1, 
+        duration: 0.3, 
+        ease: 'power2.out',
+        yoyo: true,
+        repeat: 1
+      });
+    }
+  }
+  
+  document.addEventListener('contentchange', (e) => {
+    const { birthday: date, timezone } = e.detail.content.recipient;
+    if (date) {
+      const parts = date.split('-').map(Number);
+      const [month, day] = parts.slice(-2);
+      birthday = { year: parts.length === 3 ? parts[0] : null, month, day };
+    } else {
+      birthday = null;
+    }
+    timeZone = timezone || undefined;
+    // A new date is a fresh start, not a transition worth celebrating
+    mode = null;
+    updateCountdown();
+  });
+  
+  updateCountdown();
+  setInterval(updateCountdown, 1000);
+})();
+
+/* ===== Enhanced Memory Cards ===== */
+(function memoryCards() {
+  function enhance(memoryCards) {
+    memoryCards.forEach((card, index) => {
+      card.addEventListener('mouseenter', () => {
+        if (window.gsap) {
+          gsap.to(card, { 
+            scale: 1.05, 
+            duration: 0.4, 
+            ease: 'power2.out' 
+          });
+          
+          // Stagger animation for icon
+          gsap.to(card.querySelector('.memory-icon'), {
+            rotation: 360,
+            duration: 0.6,
+            ease: 'power2.out'
+          });
+        }
+      });
+      
+      card.addEventListener('mouseleave', () => {
+        if (window.gsap) {
+          gsap.to(card, { 
+            scale: 1, 
+            duration: 0.4, 
+            ease: 'power2.out' 
+          });
+        }
+      });
+      
+      // Add particle burst to memory cards
+      card.addEventListener('click', (e) => {
+        createParticleBurst(e.clientX, e.clientY, '#ffd166');
+      });
+    });
+  }
+  
+  enhance($$('.memory-card'));
+  
+  document.addEventListener('contentchange', (e) => {
+    e.detail.roots.forEach(root => enhance($$('.memory-card', root)));
+  });
+})();
+
+/* ===== Particle Burst on Special Moments ===== */
+function createParticleBurst(x, y, color = '#ff4d6d') {
+  const particleCount = 15;
+  const particles = [];
+  
+  for (let i = 0; i < particleCount; i++) {
+    const particle = document.createElement('div');
+    particle.style.cssText = `
+      position: fixed;
+      left: ${x}px;
+      top: ${y}px;
+      width: 6px;
+      height: 6px;
+      background: ${color};
+      border-radius: 50%;
+      pointer-events: none;
+      z-index: 10000;
+    `;
+    
+    document.body.appendChild(particle);
+    
+    const angle = (i / particleCount) * Math.PI * 2;
+    const velocity = 100 + Math.random() * 100;
+    const vx = Math.cos(angle) * velocity;
+    const vy = Math.sin(angle) * velocity;
+    
+    particles.push({ element: particle, vx, vy, life: 1 });
+  }
+  
+  function animateParticles() {
+    particles.forEach((p, index) => {
+      p.element.style.left = parseFloat(p.element.style.left) + p.vx * 0.016 + 'px';
+      p.element.style.top = parseFloat(p.element.style.top) + p.vy * 0.016 + 'px';
+      p.vy += 50; // gravity
+      p.life -= 0.02;
+      p.element.style.opacity = p.life;
+      
+      if (p.life <= 0) {
+        p.element.remove();
+        particles.splice(index, 1);
+      }
+    });
+    
+    if (particles.length > 0) {
+      requestAnimationFrame(animateParticles);
+    }
+  }
+  
+  animateParticles();
+}
+
+/* ===== Music Player Functionality ===== */
+(function musicPlayer() {
+  const audio = document.getElementById('audioPlayer');
+  const playPauseBtn = document.getElementById('playPauseBtn');
+  const stopBtn = document.getElementById('stopBtn');
+  const volumeBtn = document.getElementById('volumeBtn');
+  const volumeSlider = document.getElementById('volumeSlider');
+  const progressBar = document.querySelector('.music-player .progress-bar');
+  const progressFill = progressBar.querySelector('.progress-fill');
+  const progressHandle = progressBar.querySelector('.progress-handle');
+  const currentTimeEl = document.getElementById('currentTime');
+  const totalTimeEl = document.getElementById('totalTime');
+  const vinylDisc = document.querySelector('.vinyl-disc');
+  const prevTrackBtn = document.getElementById('prevTrackBtn');
+  const nextTrackBtn = document.getElementById('nextTrackBtn');
+  const abRepeatBtn = document.getElementById('abRepeatBtn');
+  const rateSelect = document.getElementById('playbackRate');
+  const sleepSelect = document.getElementById('sleepTimer');
+  
+  if (!audio) return;
+  
+  // Route the player through the shared Web Audio graph (EQ, visualizer, crossfades)
+  audioEngine?.attachMusic(audio);
+  
+  let isDragging = false;
+  
+  // Update progress bar
+  function updateProgress() {
+    if (audio.duration && !isDragging) {
+      const progress = (audio.currentTime / audio.duration) * 100;
+      progressFill.style.width = `${progress}%`;
+      progressHandle.style.left = `${progress}%`;
+      currentTimeEl.textContent = formatTime(audio.currentTime);
+    }
+  }
+  
+  // Update total time when metadata is loaded
+  audio.addEventListener('loadedmetadata', () => {
+    totalTimeEl.textContent = formatTime(audio.duration);
+  });
+  
+  // Update progress every 100ms
+  audio.addEventListener('timeupdate', updateProgress);
+  
+  // Keep controls in sync with the element, whoever started or stopped playback
+  audio.addEventListener('play', () => {
+    playPauseBtn.classList.add('playing');
+    vinylDisc.classList.add('playing');
+    vinylDisc.classList.remove('paused');
+  });
+  
+  audio.addEventListener('pause', () => {
+    playPauseBtn.classList.remove('playing');
+    vinylDisc.classList.remove('playing');
+    // A stopped player (back at 0:00) shows the idle disc, not a paused one
+    vinylDisc.classList.toggle('paused', audio.currentTime > 0 && !audio.ended);
+  });
+  
+  // Play/Pause functionality
+  playPauseBtn.addEventListener('click', () => {
+    if (!audio.paused) {
+      audio.pause();
+    } else {
+      audio.play();
+      
+      // Add confetti when music starts
+      if (window.confetti) {
+        confetti({
+          particleCount: 50,
+          spread: 45,
+          origin: { y: 0.6 }
+        });
+      }
+    }
+  });
+  
+  // Stop functionality
+  stopBtn.addEventListener('click', () => {
+    audio.pause();
+    audio.currentTime = 0;
+    vinylDisc.classList.remove('playing', 'paused');
+    updateProgress();
+  });
+  
+  function volumeIcon(volume) {
+    if (volume === 0) return '🔇';
+    return volume < 0.5 ? '🔉' : '🔊';
+  }
+  
+  // Volume control
+  volumeSlider.addEventListener('input', (e) => {
+    const volume = e.target.value / 100;
+    audio.volume = volume;
+    
+    // Update volume button icon
+    volumeBtn.textContent = volumeIcon(volume);
+    
+    // Add visual feedback
+    if (window.gsap) {
+      gsap.to(volumeSlider, {
+        scale: 1.05,
+        duration: 0.2,
+        ease: 'power2.out',
+        yoyo: true,
+        repeat: 1
+      });
+    }
+  });
+  
+  // Mute/Unmute on volume button click
+  volumeBtn.addEventListener('click', () => {
+    if (audio.volume > 0) {
+      audio.dataset.lastVolume = audio.volume;
+      audio.volume = 0;
+      volumeSlider.value = 0;
+      volumeBtn.textContent = '🔇';
+    } else {
+      const lastVolume = audio.dataset.lastVolume || 0.8;
+      audio.volume = lastVolume;
+      volumeSlider.value = lastVolume * 100;
+      volumeBtn.textContent = '🔊';
+    }
+  });
+  
+  // Scrubber: Pointer Events cover mouse, touch and pen alike
+  const progressPreview = document.createElement('div');
+  progressPreview.className = 'progress-preview';
+  progressPreview.hidden = true;
+  progressBar.parentElement.appendChild(progressPreview);
+  
+  function positionAt(clientX) {
+    const rect = progressBar.getBoundingClientRect();
+    return Math.max(0, Math.min((clientX - rect.left) / rect.width, 1));
+  }
+  
+  function showPreview(progress) {
+    if (!audio.duration) return;
+    progressPreview.hidden = false;
+    // The bar clips its overflow, so the bubble lives in the container above it
+    progressPreview.style.left = `${progressBar.offsetLeft + progress * progressBar.offsetWidth}px`;
+    progressPreview.style.top = `${progressBar.offsetTop}px`;
+    progressPreview.textContent = formatTime(progress * audio.duration);
+  }
+  
+  function handleDrag(progress) {
+    progressFill.style.width = `${progress * 100}%`;
+    progressHandle.style.left = `${progress * 100}%`;
+    currentTimeEl.textContent = formatTime(progress * audio.duration);
+    showPreview(progress);
+  }
+  
+  progressBar.addEventListener('pointerdown', (e) => {
+    if (!audio.duration || e.button !== 0) return;
+    isDragging = true;
+    progressBar.setPointerCapture(e.pointerId);
+    progressBar.classList.add('dragging');
+    handleDrag(positionAt(e.clientX));
+  });
+  
+  progressBar.addEventListener('pointermove', (e) => {
+    const progress = positionAt(e.clientX);
+    if (isDragging) {
+      handleDrag(progress);
+    } else if (e.pointerType === 'mouse') {
+      showPreview(progress);
+    }
+  });
+  
+  function stopDrag(e, commit) {
+    if (!isDragging) return;
+    isDragging = false;
+    progressBar.classList.remove('dragging');
+    progressPreview.hidden = true;
+    if (commit) {
+      audio.currentTime = positionAt(e.clientX) * audio.duration;
+    } else {
+      updateProgress();
+    }
+  }
+  
+  progressBar.addEventListener('pointerup', (e) => stopDrag(e, true));
+  progressBar.addEventListener('pointercancel', (e) => stopDrag(e, false));
+  progressBar.addEventListener('pointerleave', () => {
+    if (!isDragging) progressPreview.hidden = true;
+  });
+  
+  // Keyboard: the bar is a focusable slider; its keys don't reach the page-wide shortcuts
+  function updateSliderValue() {
+    if (!audio.duration) return;
+    progressBar.setAttribute('aria-valuemax', Math.floor(audio.duration));
+    progressBar.setAttribute('aria-valuenow', Math.floor(audio.currentTime));
+    progressBar.setAttribute('aria-valuetext', `${formatTime(audio.currentTime)} z ${formatTime(audio.duration)}`);
+  }
+  
+  audio.addEventListener('timeupdate', updateSliderValue);
+  audio.addEventListener('loadedmetadata', updateSliderValue);
+  
+  progressBar.addEventListener('keydown', (e) => {
+    if (!audio.duration) return;
+    const seekKeys = {
+      ArrowLeft: -5,
+      ArrowDown: -5,
+      ArrowRight: 5,
+      ArrowUp: 5,
+      PageDown: -30,
+      PageUp: 30
+    };
+    
+    let time;
+    if (e.key in seekKeys) {
+      time = audio.currentTime + seekKeys[e.key];
+    } else if (e.key === 'Home') {
+      time = 0;
+    } else if (e.key === 'End') {
+      time = audio.duration - 1;
+    } else {
+      return;
+    }
+    
+    e.preventDefault();
+    e.stopPropagation();
+    audio.currentTime = Math.max(0, Math.min(time, audio.duration));
+  });
+  
+  // Move a <select> to its previous/next option, as if the user picked it
+  function stepSelect(select, direction, wrap = false) {
+    if (!select) return;
+    const count = select.options.length;
+    let index = select.selectedIndex + direction;
+    if (wrap) {
+      index = (index + count) % count;
+    } else if (index < 0 || index >= count) {
+      return;
+    }
+    select.selectedIndex = index;
+    select.dispatchEvent(new Event('change'));
+  }
+  
+  // Keyboard shortcuts
+  document.addEventListener('keydown', (e) => {
+    if (isTypingTarget(e.target)) return; // Don't interfere with form inputs
+    
+    switch(e.code) {
+      case 'Space':
+        e.preventDefault();
+        playPauseBtn.click();
+        break;
+      case 'ArrowLeft':
+        e.preventDefault();
+        audio.currentTime = Math.max(0, audio.currentTime - 10);
+        break;
+      case 'ArrowRight':
+        e.preventDefault();
+        audio.currentTime = Math.min(audio.duration, audio.currentTime + 10);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        const newVolumeUp = Math.min(1, audio.volume + 0.1);
+        audio.volume = newVolumeUp;
+        volumeSlider.value = newVolumeUp * 100;
+        break;
+      case 'ArrowDown':
+        e.preventDefault();
+        const newVolumeDown = Math.max(0, audio.volume - 0.1);
+        audio.volume = newVolumeDown;
+        volumeSlider.value = newVolumeDown * 100;
+        break;
+      case 'KeyN':
+        e.preventDefault();
+        nextTrackBtn?.click();
+        break;
+      case 'KeyP':
+        e.preventDefault();
+        prevTrackBtn?.click();
+        break;
+      case 'KeyA':
+        e.preventDefault();
+        abRepeatBtn?.click();
+        break;
+      case 'BracketLeft':
+        e.preventDefault();
+        stepSelect(rateSelect, -1);
+        break;
+      case 'BracketRight':
+        e.preventDefault();
+        stepSelect(rateSelect, 1);
+        break;
+      case 'KeyT':
+        e.preventDefault();
+        stepSelect(sleepSelect, 1, true);
+        break;
+    }
+  });
+  
+  // Audio ended event
+  audio.addEventListener('ended', () => {
+    updateProgress();
+    
+    // Add celebration effect when song ends
+    if (window.confetti) {
+      confetti({
+        particleCount: 100,
+        spread: 70,
+        origin: { y: 0.6 }
+      });
+    }
+  });
+  
+  // Add visual feedback for controls
+  [playPauseBtn, stopBtn, volumeBtn].forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (window.gsap) {
+        gsap.to(btn, {
+          scale: 0.9,
+          duration: 0.1,
+          ease: 'power2.out',
+          yoyo: true,
+          repeat: 1
+        });
+      }
+    });
+  });
+  
+  // Initialize volume with the last used level (80% on the first visit)
+  const savedVolume = storage.get('volume', 0.8);
+  audio.volume = savedVolume;
+  volumeSlider.value = savedVolume * 100;
+  volumeBtn.textContent = volumeIcon(savedVolume);
+  
+  audio.addEventListener('volumechange', () => storage.set('volume', audio.volume));
+})();
+
+/* ===== Music Playlist ===== */
+(function musicPlaylist() {
+  const audio = document.getElementById('audioPlayer');
+  const trackList = document.getElementById('trackList');
+  const prevTrackBtn = document.getElementById('prevTrackBtn');
+  const nextTrackBtn = document.getElementById('nextTrackBtn');
+  const shuffleBtn = document.getElementById('shuffleBtn');
+  const trackTitleEl = document.querySelector('.track-title');
+  const trackArtistEl = document.querySelector('.track-artist');
+  const vinylDisc = document.querySelector('.vinyl-disc');
+  
+  if (!audio) return;
+  
+  // `id` stays the same across visits, unlike the blob: src of imported files
+  const tracks = [
+    {
+      id: 'nie-chce-wracac',
+      src: 'NIE CHCĘ WRACAĆ_audio only.webm',
+      title: 'NIE CHCĘ WRACAĆ',
+      artist: 'Nasza piosenka'
+    },
+    {
+      id: 'chlopaki-nie-placza',
+      src: 'Chłopaki nie płaczą_audio only.webm',
+      title: 'Chłopaki nie płaczą',
+      artist: 'Nasza piosenka'
+    }
+  ];
+  
+  let currentIndex = 0;
+  let order = tracks.map((_, i) => i);
+  let isShuffled = false;
+  
+  // Fisher-Yates shuffle that keeps the current track first, so toggling
+  // shuffle never interrupts what is playing
+  function shuffleOrder() {
+    const rest = tracks.map((_, i) => i).filter(i => i !== currentIndex);
+    for (let i = rest.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [rest[i], rest[j]] = [rest[j], rest[i]];
+    }
+    return [currentIndex, ...rest];
+  }
+  
+  function renderTrackList() {
+    if (!trackList) return;
+    trackList.innerHTML = '';
+    
+    tracks.forEach((track, index) => {
+      const item = document.createElement('li');
+      item.className = 'track-item' + (index === currentIndex ? ' active' : '');
+      item.innerHTML = `
+        <button class="track-button" type="button">
+          <span class="track-number">${index + 1}</span>
+          <span class="track-meta">
+            <span class="track-name"></span>
+            <span class="track-by"></span>
+          </span>
+          <span class="track-playing" aria-hidden="true">🎶</span>
+        </button>
+      `;
+      item.querySelector('.track-name').textContent = track.title;
+      item.querySelector('.track-by').textContent = track.artist;
+      item.querySelector('.track-button').addEventListener('click', () => {
+        if (index === currentIndex) {
+          if (audio.paused) audio.play();
+          return;
+        }
+        select(index, { autoplay: true });
+      });
+      
+      if (track.removable) {
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'track-remove';
+        removeBtn.title = 'Remove from playlist';
+        removeBtn.setAttribute('aria-label', `Usuń „${track.title}”`);
+        removeBtn.textContent = '✕';
+        removeBtn.addEventListener('click', () => remove(tracks.indexOf(track)));
+        item.appendChild(removeBtn);
+      }
+      
+      trackList.appendChild(item);
+    });
+  }
+  
+  function updateTrackInfo() {
+    const track = tracks[currentIndex];
+    if (trackTitleEl) trackTitleEl.textContent = track.title;
+    if (trackArtistEl) trackArtistEl.textContent = track.artist;
+    
+    // Embedded cover art is printed on the record label
+    if (vinylDisc) {
+      vinylDisc.classList.toggle('has-cover', !!track.artwork);
+      vinylDisc.style.setProperty('--cover-art', track.artwork ? `url("${track.artwork}")` : 'none');
+    }
+    
+    $$('.track-item', trackList || document).forEach((item, index) => {
+      item.classList.toggle('active', index === currentIndex);
+    });
+  }
+  
+  function select(index, { autoplay = !audio.paused } = {}) {
+    if (index < 0 || index >= tracks.length) return;
+    
+    currentIndex = index;
+    audio.src = tracks[index].src;
+    updateTrackInfo();
+    
+    audio.dispatchEvent(new CustomEvent('trackchange', {
+      detail: { track: tracks[index], index }
+    }));
+    
+    if (autoplay) {
+      audio.play().catch(error => logger.warn('Playback failed: ' + error.message));
+    }
+    
+    if (window.gsap) {
+      gsap.fromTo('.track-details', 
+        { opacity: 0, y: 10 }, 
+        { opacity: 1, y: 0, duration: 0.4, ease: 'power2.out' }
+      );
+    }
+  }
+  
+  // Step through the playback order; `wrap` is off for auto-advance so the
+  // playlist stops after the last song instead of starting over
+  function step(direction, { wrap = true, autoplay } = {}) {
+    let position = order.indexOf(currentIndex) + direction;
+    if (position >= order.length || position < 0) {
+      if (!wrap) return false;
+      position = (position + order.length) % order.length;
+    }
+    select(order[position], { autoplay });
+    return true;
+  }
+  
+  function next(options) {
+    return step(1, options);
+  }
+  
+  // Index of the song that auto-advance would play next, or -1 at the end
+  function peekNext() {
+    const position = order.indexOf(currentIndex) + 1;
+    return position < order.length ? order[position] : -1;
+  }
+  
+  function previous(options) {
+    // Like most players: jump to the start first, then to the previous song
+    if (audio.currentTime > 3) {
+      audio.currentTime = 0;
+      return true;
+    }
+    return step(-1, options);
+  }
+  
+  function notifyChange() {
+    renderTrackList();
+    audio.dispatchEvent(new CustomEvent('playlistchange', { detail: { tracks } }));
+  }
+  
+  function add(track) {
+    tracks.push(track);
+    order.push(tracks.length - 1);
+    notifyChange();
+    return tracks.length - 1;
+  }
+  
+  function remove(index) {
+    if (index < 0 || index >= tracks.length || tracks.length === 1) return false;
+    
+    const wasCurrent = index === currentIndex;
+    const [track] = tracks.splice(index, 1);
+    order = order.filter(i => i !== index).map(i => (i > index ? i - 1 : i));
+    
+    if (wasCurrent) {
+      currentIndex = Math.min(index, tracks.length - 1);
+      notifyChange();
+      select(currentIndex, { autoplay: false });
+    } else {
+      if (currentIndex > index) currentIndex--;
+      notifyChange();
+    }
+    
+    audio.dispatchEvent(new CustomEvent('trackremove', { detail: { track } }));
+    return true;
+  }
+  
+  prevTrackBtn?.addEventListener('click', () => previous());
+  nextTrackBtn?.addEventListener('click', () => next());
+  
+  shuffleBtn?.addEventListener('click', () => {
+    isShuffled = !isShuffled;
+    shuffleBtn.classList.toggle('active', isShuffled);
+    order = isShuffled ? shuffleOrder() : tracks.map((_, i) => i);
+    
+    // Visual feedback
+    if (window.gsap) {
+      gsap.to(shuffleBtn, {
+        scale: 1.2,
+        duration: 0.3,
+        ease: 'power2.out',
+        yoyo: true,
+        repeat: 1
+      });
+    }
+  });
+  
+  // Auto-advance to the next song in the playback order
+  audio.addEventListener('ended', () => {
+    next({ wrap: false, autoplay: true });
+  });
+  
+  renderTrackList();
+  updateTrackInfo();
+  
+  // Public API for other modules (media session, mini-player, ...)
+  window.musicPlaylist = {
+    tracks,
+    select,
+    next,
+    previous,
+    peekNext,
+    add,
+    remove,
+    get index() { return currentIndex; },
+    get current() { return tracks[currentIndex]; }
+  };
+})();
+
+/* ===== Music Import ===== */
+(function musicImport() {
+  const audio = document.getElementById('audioPlayer');
+  const player = document.querySelector('.music-player');
+  const importBtn = document.getElementById('trackImportBtn');
+  const fileInput = document.getElementById('trackFileInput');
+  const importStatus = document.getElementById('trackImportStatus');
+  const playlist = window.musicPlaylist;
+  
+  if (!audio || !player || !playlist) return;
+  
+  const utf8 = new TextDecoder('utf-8');
+  let unsavedCount = 0;
+  
+  // --- Tag parsing: ID3v2 (MP3), FLAC, Ogg Vorbis/Opus, Matroska/WebM ---
+  
+  function ascii(bytes, offset, length) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + length));
+  }
+  
+  function uint32(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+  }
+  
+  function synchsafe(bytes, offset) {
+    return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+  }
+  
+  // Fill only what is still missing; a front cover (type 3) beats any other picture
+  function mergeTags(target, source) {
+    ['title', 'artist', 'album'].forEach(key => {
+      if (!target[key] && source[key]) target[key] = source[key];
+    });
+    if (source.picture && (!target.picture || (source.picture.type === 3 && target.picture.type !== 3))) {
+      target.picture = source.picture;
+    }
+    return target;
+  }
+  
+  // ID3 text encodings: 0 ISO-8859-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+  function decodeId3Text(data, encoding) {
+    let label = ['iso-8859-1', 'utf-16le', 'utf-16be', 'utf-8'][encoding] || 'iso-8859-1';
+    if (encoding === 1 && data[0] === 0xFE && data[1] === 0xFF) label = 'utf-16be';
+    if (encoding === 1 && (data[0] === 0xFE || data[0] === 0xFF)) data = data.subarray(2);
+    // v2.4 separates multiple values with NUL; the first one is enough
+    return new TextDecoder(label).decode(data).split('\0')[0].trim();
+  }
+  
+  function findTerminator(data, start, encoding) {
+    const wide = encoding === 1 || encoding === 2;
+    for (let i = start; i < data.length; i += wide ? 2 : 1) {
+      if (data[i] === 0 && (!wide || data[i + 1] === 0)) return i;
+    }
+    return data.length;
+  }
+  
+  function readId3Picture(frame, legacy) {
+    const encoding = frame[0];
+    let mime;
+    let offset;
+    if (legacy) {
+      // ID3v2.2 PIC: three-letter image format instead of a MIME type
+      const format = ascii(frame, 1, 3).toLowerCase();
+      mime = `image/${format === 'jpg' ? 'jpeg' : format}`;
+      offset = 4;
+    } else {
+      const mimeEnd = findTerminator(frame, 1, 0);
+      mime = ascii(frame, 1, mimeEnd - 1) || 'image/jpeg';
+      offset = mimeEnd + 1;
+    }
+    const type = frame[offset];
+    const descriptionEnd = findTerminator(frame, offset + 1, encoding);
+    const wide = encoding === 1 || encoding === 2;
+    return { mime, type, data: frame.subarray(descriptionEnd + (wide ? 2 : 1)) };
+  }
+  
+  function readId3(bytes) {
+    const version = bytes[3];
+    const end = Math.min(10 + synchsafe(bytes, 6), bytes.length);
+    const tags = {};
+    let offset = 10;
+    
+    // Skip the extended header
+    if (bytes[5] & 0x40) {
+      offset += version === 4 ? synchsafe(bytes, offset) : uint32(bytes, offset) + 4;
+    }
+    
+    const idLength = version === 2 ? 3 : 4;
+    const headerLength = version === 2 ? 6 : 10;
+    
+    while (offset + headerLength <= end) {
+      const id = ascii(bytes, offset, idLength);
+      if (!/^[A-Z0-9]+$/.test(id)) break; // reached the padding
+      
+      let size;
+      if (version === 2) {
+        size = (bytes[offset + 3] << 16) | (bytes[offset + 4] << 8) | bytes[offset + 5];
+      } else {
+        size = version === 4 ? synchsafe(bytes, offset + 4) : uint32(bytes, offset + 4);
+      }
+      const frame = bytes.subarray(offset + headerLength, offset + headerLength + size);
+      offset += headerLength + size;
+      
+      switch (id) {
+        case 'TIT2':
+        case 'TT2':
+          tags.title = decodeId3Text(frame.subarray(1), frame[0]);
+          break;
+        case 'TPE1':
+        case 'TP1':
+          tags.artist = decodeId3Text(frame.subarray(1), frame[0]);
+          break;
+        case 'TALB':
+        case 'TAL':
+          tags.album = decodeId3Text(frame.subarray(1), frame[0]);
+          break;
+        case 'APIC':
+        case 'PIC':
+          mergeTags(tags, { picture: readId3Picture(frame, id === 'PIC') });
+          break;
+      }
+    }
+    return tags;
+  }
+  
+  // FLAC PICTURE block, also found base64-encoded in Vorbis comments
+  function readFlacPicture(bytes) {
+    const type = uint32(bytes, 0);
+    const mimeLength = uint32(bytes, 4);
+    const mime = ascii(bytes, 8, mimeLength);
+    let offset = 8 + mimeLength;
+    offset += 4 + uint32(bytes, offset); // description
+    offset += 16; // width, height, colour depth, palette size
+    const length = uint32(bytes, offset);
+    return { mime, type, data: bytes.subarray(offset + 4, offset + 4 + length) };
+  }
+  
+  function readVorbisComments(bytes, offset) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const tags = {};
+    offset += 4 + view.getUint32(offset, true); // vendor string
+    const count = view.getUint32(offset, true);
+    offset += 4;
+    
+    for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+      const length = view.getUint32(offset, true);
+      const comment = utf8.decode(bytes.subarray(offset + 4, offset + 4 + length));
+      offset += 4 + length;
+      
+      const separator = comment.indexOf('=');
+      const key = comment.slice(0, separator).toUpperCase();
+      const value = comment.slice(separator + 1).trim();
+      
+      if (key === 'METADATA_BLOCK_PICTURE') {
+        const binary = atob(value);
+        const picture = Uint8Array.from(binary, char => char.charCodeAt(0));
+        mergeTags(tags, { picture: readFlacPicture(picture) });
+      } else if (['TITLE', 'ARTIST', 'ALBUM'].includes(key)) {
+        mergeTags(tags, { [key.toLowerCase()]: value });
+      }
+    }
+    return tags;
+  }
+  
+  function readFlac(bytes) {
+    const tags = {};
+    let offset = 4;
+    
+    while (offset + 4 <= bytes.length) {
+      const header = bytes[offset];
+      const length = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+      const block = bytes.subarray(offset + 4, offset + 4 + length);
+      
+      if ((header & 0x7F) === 4) mergeTags(tags, readVorbisComments(block, 0));
+      if ((header & 0x7F) === 6) mergeTags(tags, { picture: readFlacPicture(block) });
+      
+      offset += 4 + length;
+      if (header & 0x80) break; // last metadata block
+    }
+    return tags;
+  }
+  
+  // The comment header is the second packet of the stream and may span several pages
+  function readOgg(bytes) {
+    const packets = [];
+    let segments = [];
+    let offset = 0;
+    
+    while (packets.length < 2 && ascii(bytes, offset, 4) === 'OggS') {
+      const count = bytes[offset + 26];
+      let dataOffset = offset + 27 + count;
+      
+      for (let i = 0; i < count && packets.length < 2; i++) {
+        const size = bytes[offset + 27 + i];
+        segments.push(bytes.subarray(dataOffset, dataOffset + size));
+        dataOffset += size;
+        if (size < 255) {
+          const packet = new Uint8Array(segments.reduce((sum, part) => sum + part.length, 0));
+          segments.reduce((position, part) => {
+            packet.set(part, position);
+            return position + part.length;
+          }, 0);
+          packets.push(packet);
+          segments = [];
+        }
+      }
+      offset = dataOffset;
+    }
+    
+    const comments = packets[1];
+    if (!comments) return {};
+    if (ascii(comments, 0, 7) === '\x03vorbis') return readVorbisComments(comments, 7);
+    if (ascii(comments, 0, 8) === 'OpusTags') return readVorbisComments(comments, 8);
+    return {};
+  }
+  
+  // EBML variable-length integer; IDs keep their length marker, sizes don't
+  function readVint(bytes, offset, isId) {
+    const first = bytes[offset];
+    let length = 1;
+    let mask = 0x80;
+    while (length <= 8 && !(first & mask)) {
+      length++;
+      mask >>= 1;
+    }
+    if (length > 8 || offset + length > bytes.length) return null;
+    
+    let value = isId ? first : first & (mask - 1);
+    let unknown = !isId && value === mask - 1;
+    for (let i = 1; i < length; i++) {
+      value = value * 256 + bytes[offset + i];
+      if (bytes[offset + i] !== 0xFF) unknown = false;
+    }
+    return { length, value: unknown ? -1 : value };
+  }
+  
+  const EBML = {
+    Segment: 0x18538067,
+    Info: 0x1549A966,
+    Title: 0x7BA9,
+    Tags: 0x1254C367,
+    Tag: 0x7373,
+    Targets: 0x63C0,
+    TargetTypeValue: 0x68CA,
+    SimpleTag: 0x67C8,
+    TagName: 0x45A3,
+    TagString: 0x4487,
+    Attachments: 0x1941A469,
+    AttachedFile: 0x61A7,
+    FileName: 0x466E,
+    FileMimeType: 0x4660,
+    FileData: 0x465C
+  };
+  
+  function readMatroska(bytes) {
+    const tags = {};
+    let segmentTitle = '';
+    const text = (start, end) => utf8.decode(bytes.subarray(start, end)).replace(/\0+$/, '').trim();
+    
+    function walk(start, end, visit) {
+      let offset = start;
+      while (offset < end) {
+        const id = readVint(bytes, offset, true);
+        const size = id && readVint(bytes, offset + id.length, false);
+        if (!size) return;
+        
+        const dataStart = offset + id.length + size.length;
+        const dataEnd = size.value < 0 ? end : Math.min(dataStart + size.value, end);
+        visit(id.value, dataStart, dataEnd);
+        offset = dataEnd;
+      }
+    }
+    
+    function readTag(start, end) {
+      // Muxers like ffmpeg leave Targets empty for the file's own title
+      let targetType = 0;
+      const values = {};
+      
+      walk(start, end, (id, dataStart, dataEnd) => {
+        if (id === EBML.Targets) {
+          walk(dataStart, dataEnd, (childId, valueStart, valueEnd) => {
+            if (childId === EBML.TargetTypeValue) {
+              targetType = bytes.subarray(valueStart, valueEnd).reduce((value, byte) => value * 256 + byte, 0);
+            }
+          });
+        } else if (id === EBML.SimpleTag) {
+          let name = '';
+          let value = '';
+          walk(dataStart, dataEnd, (childId, valueStart, valueEnd) => {
+            if (childId === EBML.TagName) name = text(valueStart, valueEnd).toUpperCase();
+            if (childId === EBML.TagString) value = text(valueStart, valueEnd);
+          });
+          if (name && value) values[name] = value;
+        }
+      });
+      
+      // A TITLE on the album level names the album, not the song
+      mergeTags(tags, {
+        title: targetType < 50 ? values.TITLE : undefined,
+        album: targetType >= 50 ? values.TITLE || values.ALBUM : values.ALBUM,
+        artist: values.ARTIST || values.ALBUM_ARTIST
+      });
+    }
+    
+    function readAttachment(start, end) {
+      let name = '';
+      let mime = '';
+      let data = null;
+      walk(start, end, (id, dataStart, dataEnd) => {
+        if (id === EBML.FileName) name = text(dataStart, dataEnd).toLowerCase();
+        if (id === EBML.FileMimeType) mime = text(dataStart, dataEnd);
+        if (id === EBML.FileData) data = bytes.subarray(dataStart, dataEnd);
+      });
+      if (data && mime.startsWith('image/')) {
+        mergeTags(tags, { picture: { mime, type: name.startsWith('cover') ? 3 : 0, data } });
+      }
+    }
+    
+    walk(0, bytes.length, function visit(id, start, end) {
+      switch (id) {
+        case EBML.Segment:
+        case EBML.Tags:
+        case EBML.Attachments:
+          walk(start, end, visit);
+          break;
+        case EBML.Info:
+          walk(start, end, (childId, dataStart, dataEnd) => {
+            if (childId === EBML.Title) segmentTitle = text(dataStart, dataEnd);
+          });
+          break;
+        case EBML.Tag:
+          readTag(start, end);
+          break;
+        case EBML.AttachedFile:
+          readAttachment(start, end);
+          break;
+      }
+    });
+    
+    tags.title ||= segmentTitle;
+    return tags;
+  }
+  
+  function readTags(buffer) {
+    const bytes = new Uint8Array(buffer);
+    try {
+      if (ascii(bytes, 0, 3) === 'ID3') return readId3(bytes);
+      if (ascii(bytes, 0, 4) === 'fLaC') return readFlac(bytes);
+      if (ascii(bytes, 0, 4) === 'OggS') return readOgg(bytes);
+      if (uint32(bytes, 0) === 0x1A45DFA3) return readMatroska(bytes);
+    } catch (error) {
+      logger.warn('Could not read audio tags: ' + error.message);
+    }
+    return {};
+  }
+  
+  // --- Importing ---
+  
+  function isAudioFile(file) {
+    return file.type.startsWith('audio/') || /\.(mp3|ogg|oga|opus|flac|webm|weba|m4a|wav)$/i.test(file.name);
+  }
+  
+  function tracksLabel(count) {
+    if (count === 1) return '1 utwór';
+    const lastDigit = count % 10;
+    const lastTwo = count % 100;
+    const few = lastDigit >= 2 && lastDigit <= 4 && (lastTwo < 12 || lastTwo > 14);
+    return `${count} ${few ? 'utwory' : 'utworów'}`;
+  }
+  
+  function setStatus(message) {
+    if (importStatus) importStatus.textContent = message;
+  }
+  
+  function addTrack(record) {
+    return playlist.add({
+      id: record.id ? `imported-${record.id}` : `imported-unsaved-${++unsavedCount}`,
+      src: URL.createObjectURL(record.file),
+      title: record.title,
+      artist: record.artist,
+      album: record.album,
+      artwork: record.picture ? URL.createObjectURL(record.picture) : null,
+      lyrics: null,
+      removable: true,
+      recordId: record.id
+    });
+  }
+  
+  async function importFiles(files) {
+    const audioFiles = Array.from(files).filter(isAudioFile);
+    if (!audioFiles.length) {
+      setStatus('To nie są pliki audio 🎵');
+      return;
+    }
+    
+    setStatus('Dodawanie utworów...');
+    const skipped = [];
+    const failed = [];
+    let added = 0;
+    let firstIndex = -1;
+    
+    for (const file of audioFiles) {
+      if (file.type && !audio.canPlayType(file.type)) {
+        skipped.push(file.name);
+        continue;
+      }
+      
+      // One unreadable file shouldn't stop the rest of the batch
+      let record;
+      try {
+        const tags = readTags(await file.arrayBuffer());
+        record = {
+          file,
+          title: tags.title || file.name.replace(/\.[^.]+$/, ''),
+          artist: tags.artist || 'Twoja muzyka',
+          album: tags.album || '',
+          picture: tags.picture ? new Blob([tags.picture.data], { type: tags.picture.mime }) : null,
+          added: Date.now()
+        };
+      } catch (error) {
+        logger.warn(`Could not import ${file.name}: ${error.message}`);
+        failed.push(file.name);
+        continue;
+      }
+      
+      try {
+        record.id = await database.put('tracks', record);
+      } catch (error) {
+        logger.warn(`Imported track "${record.title}" will not be kept: ${error.message}`);
+      }
+      
+      try {
+        const index = addTrack(record);
+        if (firstIndex === -1) firstIndex = index;
+        added++;
+      } catch (error) {
+        logger.warn(`Could not add ${file.name} to the playlist: ${error.message}`);
+        failed.push(file.name);
+      }
+    }
+    
+    const messages = [];
+    if (added) messages.push(`Dodano ${tracksLabel(added)} 💕`);
+    if (skipped.length) messages.push(`Ta przeglądarka nie odtworzy: ${skipped.join(', ')}`);
+    if (failed.length) messages.push(`Nie udało się wczytać: ${failed.join(', ')}`);
+    setStatus(messages.join(' · '));
+    
+    // Show the new song right away, without interrupting one that is playing
+    if (firstIndex !== -1 && audio.paused) playlist.select(firstIndex, { autoplay: false });
+  }
+  
+  audio.addEventListener('trackremove', (e) => {
+    const { track } = e.detail;
+    if (!track.removable) return;
+    
+    URL.revokeObjectURL(track.src);
+    if (track.artwork) URL.revokeObjectURL(track.artwork);
+    if (track.recordId) {
+      database.delete('tracks', track.recordId)
+        .catch(error => logger.warn('Could not delete imported track: ' + error.message));
+    }
+  });
+  
+  importBtn?.addEventListener('click', () => fileInput?.click());
+  
+  fileInput?.addEventListener('change', () => {
+    importFiles(fileInput.files);
+    fileInput.value = '';
+  });
+  
+  // Drag & drop anywhere on the player
+  const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+  
+  ['dragenter', 'dragover'].forEach(type => {
+    player.addEventListener(type, (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      player.classList.add('drop-target');
+    });
+  });
+  
+  player.addEventListener('dragleave', (e) => {
+    if (!player.contains(e.relatedTarget)) player.classList.remove('drop-target');
+  });
+  
+  player.addEventListener('drop', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    player.classList.remove('drop-target');
+    importFiles(e.dataTransfer.files);
+  });
+  
+  // Bring back the songs imported on earlier visits
+  database.getAll('tracks')
+    .then(records => records.forEach(addTrack))
+    .catch(error => logger.warn('Could not load imported tracks: ' + error.message));
+})();
+
+/* ===== Waveform Scrubber ===== */
+(function waveformScrubber() {
+  const audio = document.getElementById('audioPlayer');
+  const progressBar = document.querySelector('.music-player .progress-bar');
+  const canvas = progressBar?.querySelector('.progress-waveform');
+  
+  if (!audio || !canvas || !audioEngine || !window.musicPlaylist) return;
+  
+  const ctx = canvas.getContext('2d');
+  const BUCKETS = 200;
+  
+  // Peaks are decoded once per file: kept in memory for this visit and in
+  // storage for the next one (blob: URLs of imported files change every visit)
+  const cache = new Map(Object.entries(storage.get('waveforms', {})));
+  const pending = new Map();
+  let peaks = null;
+  let loadToken = 0;
+  
+  function computePeaks(buffer) {
+    const result = new Array(BUCKETS).fill(0);
+    const bucketSize = Math.floor(buffer.length / BUCKETS) || 1;
+    
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const data = buffer.getChannelData(channel);
+      for (let bucket = 0; bucket < BUCKETS; bucket++) {
+        const start = bucket * bucketSize;
+        const end = Math.min(start + bucketSize, data.length);
+        let max = result[bucket];
+        for (let i = start; i < end; i++) {
+          const value = Math.abs(data[i]);
+          if (value > max) max = value;
+        }
+        result[bucket] = max;
+      }
+    }
+    
+    // Normalise so quiet masters still fill the bar
+    const loudest = Math.max(...result) || 1;
+    return result.map(value => Math.round((value / loudest) * 100) / 100);
+  }
+  
+  function decodePeaks(src) {
+    if (cache.has(src)) return Promise.resolve(cache.get(src));
+    if (pending.has(src)) return pending.get(src);
+    
+    const job = fetch(src)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.arrayBuffer();
+      })
+      .then(data => audioEngine.context.decodeAudioData(data))
+      .then(buffer => {
+        const result = computePeaks(buffer);
+        cache.set(src, result);
+        if (!src.startsWith('blob:')) {
+          storage.set('waveforms', Object.fromEntries(
+            [...cache].filter(([key]) => !key.startsWith('blob:'))
+          ));
+        }
+        return result;
+      })
+      .finally(() => pending.delete(src));
+    
+    pending.set(src, job);
+    return job;
+  }
+  
+  function draw() {
+    const dpr = Math.min(window.devicePixelRatio || 1, 2);
+    const width = progressBar.clientWidth;
+    const height = progressBar.clientHeight;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    if (!peaks) return;
+    
+    const barWidth = width / peaks.length;
+    const middle = height / 2;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.45)';
+    peaks.forEach((peak, i) => {
+      const barHeight = Math.max(1, peak * (height - 4));
+      ctx.fillRect(i * barWidth, middle - barHeight / 2, Math.max(1, barWidth - 1), barHeight);
+    });
+  }
+  
+  function show(result) {
+    peaks = result;
+    progressBar.classList.toggle('has-waveform', !!peaks);
+    draw();
+  }
+  
+  function load(track) {
+    const token = ++loadToken;
+    show(cache.get(track.src) || null);
+    if (peaks) return;
+    
+    // Decoding a whole song is heavy, so it waits until the page is idle
+    const idle = window.requestIdleCallback || ((callback) => setTimeout(callback, 500));
+    idle(() => {
+      decodePeaks(track.src)
+        .then(result => {
+          if (token === loadToken) show(result);
+        })
+        .catch(error => logger.warn(`Waveform not available for "${track.title}": ${error.message}`));
+    });
+  }
+  
+  audio.addEventListener('trackchange', (e) => load(e.detail.track));
+  window.addEventListener('resize', draw);
+  
+  load(window.musicPlaylist.current);
+})();
+
+/* ===== Sticky Mini-Player ===== */
+(function miniPlayer() {
+  const audio = document.getElementById('audioPlayer');
+  const musicSection = document.getElementById('music');
+  const mini = document.getElementById('miniPlayer');
+  const playPauseBtn = document.getElementById('playPauseBtn');
+  
+  if (!audio || !musicSection || !mini || !window.musicPlaylist) return;
+  
+  const miniPlayBtn = document.getElementById('miniPlayBtn');
+  const miniNextBtn = document.getElementById('miniNextBtn');
+  const miniJumpBtn = document.getElementById('miniJumpBtn');
+  const miniTitle = mini.querySelector('.mini-player-title');
+  const miniArtist = mini.querySelector('.mini-player-artist');
+  const miniArt = mini.querySelector('.mini-player-art');
+  const miniFill = mini.querySelector('.mini-player-fill');
+  const miniProgress = mini.querySelector('.mini-player-progress');
+  
+  let sectionVisible = true;
+  let scrolledPast = false;
+  
+  // Shown once the visitor has scrolled past the player, or earlier if music is playing
+  function updateVisibility() {
+    const show = !sectionVisible && (scrolledPast || !audio.paused);
+    mini.classList.toggle('visible', show);
+    mini.inert = !show;
+    mini.setAttribute('aria-hidden', String(!show));
+  }
+  
+  function updateTrack(track) {
+    miniTitle.textContent = track.title;
+    miniArtist.textContent = track.artist;
+    miniArt.classList.toggle('has-cover', !!track.artwork);
+    miniArt.style.setProperty('--cover-art', track.artwork ? `url("${track.artwork}")` : 'none');
+  }
+  
+  function updateProgress() {
+    const progress = audio.duration ? (audio.currentTime / audio.duration) * 100 : 0;
+    miniFill.style.width = `${progress}%`;
+    miniProgress.setAttribute('aria-valuenow', Math.round(progress));
+  }
+  
+  const observer = new IntersectionObserver(([entry]) => {
+    sectionVisible = entry.isIntersecting;
+    scrolledPast = !entry.isIntersecting && entry.boundingClientRect.top < 0;
+    updateVisibility();
+  }, { threshold: 0 });
+  observer.observe(musicSection);
+  
+  // Same buttons as the full player, so both stay in sync
+  miniPlayBtn.addEventListener('click', () => playPauseBtn?.click());
+  miniNextBtn?.addEventListener('click', () => window.musicPlaylist.next());
+  
+  miniJumpBtn.addEventListener('click', () => {
+    if (window.gsap && window.ScrollToPlugin) {
+      gsap.to(window, { 
+        duration: 0.8, 
+        scrollTo: { y: musicSection, offsetY: 80 }, 
+        ease: 'power2.out' 
+      });
+    } else {
+      musicSection.scrollIntoView({ behavior: prefersReducedMotion ? 'auto' : 'smooth' });
+    }
+  });
+  
+  audio.addEventListener('play', () => {
+    miniPlayBtn.classList.add('playing');
+    updateVisibility();
+  });
+  audio.addEventListener('pause', () => {
+    miniPlayBtn.classList.remove('playing');
+    updateVisibility();
+  });
+  audio.addEventListener('timeupdate', updateProgress);
+  audio.addEventListener('trackchange', (e) => {
+    updateTrack(e.detail.track);
+    updateProgress();
+  });
+  audio.addEventListener('playlistchange', () => updateTrack(window.musicPlaylist.current));
+  
+  updateTrack(window.musicPlaylist.current);
+  updateVisibility();
+})();
+
+/* ===== Synced Lyrics ===== */
+(function syncedLyrics() {
+  const audio = document.getElementById('audioPlayer');
+  const panel = document.getElementById('lyricsPanel');
+  const linesEl = document.getElementById('lyricsLines');
+  
+  if (!audio || !panel || !linesEl) return;
+  
+  // Songs without a text don't get an empty panel
+  const container = panel.closest('.lyrics') || panel;
+  
+  const cache = new Map();
+  let lines = [];
+  let activeIndex = -1;
+  let loadToken = 0;
+  let userScrolledAt = 0;
+  
+  // Parse LRC: "[mm:ss.xx]text", several timestamps per line allowed,
+  // plus the optional "[offset:+/-ms]" tag. Other ID tags are ignored.
+  function parseLrc(text) {
+    const parsed = [];
+    let offset = 0;
+    
+    text.split(/\r?\n/).forEach(rawLine => {
+      const offsetMatch = rawLine.match(/^\[offset:\s*([+-]?\d+)\s*\]/i);
+      if (offsetMatch) {
+        offset = parseInt(offsetMatch[1], 10) / 1000;
+        return;
+      }
+      
+      const stamps = [];
+      const stampRe = /\[(\d{1,3}):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+      let match;
+      let rest = rawLine;
+      while ((match = stampRe.exec(rawLine)) !== null) {
+        stamps.push(parseInt(match[1], 10) * 60 + parseFloat(match[2].replace(':', '.')));
+        rest = rawLine.slice(stampRe.lastIndex);
+      }
+      
+      const lyric = rest.trim();
+      stamps.forEach(time => parsed.push({ time, text: lyric }));
+    });
+    
+    // A positive offset means the lyrics should show up earlier
+    return parsed
+      .map(line => ({ time: Math.max(0, line.time - offset), text: line.text }))
+      .sort((a, b) => a.time - b.time);
+  }
+  
+  function renderMessage(message) {
+    linesEl.innerHTML = '';
+    const item = document.createElement('li');
+    item.className = 'lyrics-line lyrics-empty';
+    item.textContent = message;
+    linesEl.appendChild(item);
+  }
+  
+  function renderLines() {
+    linesEl.innerHTML = '';
+    lines.forEach((line, index) => {
+      const item = document.createElement('li');
+      item.className = 'lyrics-line';
+      item.dataset.index = index;
+      item.textContent = line.text || '♪';
+      linesEl.appendChild(item);
+    });
+  }
+  
+  async function loadLyrics(track) {
+    const token = ++loadToken;
+    lines = [];
+    activeIndex = -1;
+    
+    if (!track?.lyrics) {
+      container.hidden = true;
+      return;
+    }
+    
+    container.hidden = false;
+    renderMessage('Ładowanie tekstu...');
+    
+    try {
+      if (!cache.has(track.lyrics)) {
+        const response = await fetch(track.lyrics);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        cache.set(track.lyrics, parseLrc(await response.text()));
+      }
+    } catch (error) {
+      logger.warn(`Lyrics not available for "${track.title}": ${error.message}`);
+      if (token === loadToken) container.hidden = true;
+      return;
+    }
+    
+    // Another track was selected while this one was loading
+    if (token !== loadToken) return;
+    
+    lines = cache.get(track.lyrics);
+    if (lines.length) {
+      renderLines();
+      highlight(audio.currentTime);
+    } else {
+      container.hidden = true;
+    }
+  }
+  
+  // Binary search for the last line that has already started
+  function findLine(time) {
+    let low = 0;
+    let high = lines.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (lines[mid].time <= time) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return found;
+  }
+  
+  function highlight(time) {
+    const index = findLine(time);
+    if (index === activeIndex) return;
+    
+    linesEl.children[activeIndex]?.classList.remove('active');
+    activeIndex = index;
+    const current = linesEl.children[index];
+    if (!current) return;
+    
+    current.classList.add('active');
+    
+    // Don't fight the user while they are reading ahead
+    if (Date.now() - userScrolledAt < 3000) return;
+    panel.scrollTo({
+      top: current.offsetTop - panel.clientHeight / 2 + current.offsetHeight / 2,
+      behavior: prefersReducedMotion ? 'auto' : 'smooth'
+    });
+  }
+  
+  audio.addEventListener('timeupdate', () => {
+    if (lines.length) highlight(audio.currentTime);
+  });
+  
+  audio.addEventListener('trackchange', (e) => loadLyrics(e.detail.track));
+  
+  // Click a line to jump there
+  linesEl.addEventListener('click', (e) => {
+    const item = e.target.closest('.lyrics-line');
+    if (!item || item.dataset.index === undefined) return;
+    audio.currentTime = lines[Number(item.dataset.index)].time;
+    userScrolledAt = 0;
+    highlight(audio.currentTime);
+  });
+  
+  ['wheel', 'touchmove'].forEach(type => {
+    panel.addEventListener(type, () => {
+      userScrolledAt = Date.now();
+    }, { passive: true });
+  });
+  
+  loadLyrics(window.musicPlaylist?.current);
+})();
+
+/* ===== Media Session (lock screen & media keys) ===== */
+(function mediaSession() {
+  const audio = document.getElementById('audioPlayer');
+  if (!audio || !('mediaSession' in navigator)) return;
+  
+  const session = navigator.mediaSession;
+  
+  // Same icons the PWA manifest uses
+  const defaultArtwork = [96, 128, 192, 384, 512].map(size => ({
+    src: `/icon-${size}x${size}.png`,
+    sizes: `${size}x${size}`,
+    type: 'image/png'
+  }));
+  
+  function updateMetadata(track) {
+    if (!track || !window.MediaMetadata) return;
+    session.metadata = new MediaMetadata({
+      title: track.title,
+      artist: track.artist,
+      album: track.album || 'Urodziny 💕',
+      artwork: track.artwork ? [{ src: track.artwork }] : defaultArtwork
+    });
+  }
+  
+  function updatePositionState() {
+    if (!session.setPositionState || !Number.isFinite(audio.duration)) return;
+    try {
+      session.setPositionState({
+        duration: audio.duration,
+        playbackRate: audio.playbackRate,
+        position: Math.min(audio.currentTime, audio.duration)
+      });
+    } catch (e) {
+      logger.debug('Media Session position update skipped: ' + e.message);
+    }
+  }
+  
+  // Route everything through the on-page buttons so the player UI,
+  // sound effects and visual feedback stay identical
+  const clickButton = (id) => () => document.getElementById(id)?.click();
+  
+  const actions = {
+    play: () => { if (audio.paused) clickButton('playPauseBtn')(); },
+    pause: () => { if (!audio.paused) clickButton('playPauseBtn')(); },
+    stop: clickButton('stopBtn'),
+    seekbackward: clickButton('backwardBtn'),
+    seekforward: clickButton('forwardBtn'),
+    previoustrack: clickButton('prevTrackBtn'),
+    nexttrack: clickButton('nextTrackBtn'),
+    seekto: (details) => {
+      if (details.fastSeek && 'fastSeek' in audio) {
+        audio.fastSeek(details.seekTime);
+      } else {
+        audio.currentTime = details.seekTime;
+      }
+      updatePositionState();
+    }
+  };
+  
+  Object.entries(actions).forEach(([action, handler]) => {
+    try {
+      session.setActionHandler(action, handler);
+    } catch (e) {
+      logger.debug(`Media Session action "${action}" is not supported`);
+    }
+  });
+  
+  audio.addEventListener('play', () => {
+    session.playbackState = 'playing';
+  });
+  
+  audio.addEventListener('pause', () => {
+    session.playbackState = 'paused';
+  });
+  
+  audio.addEventListener('trackchange', (e) => updateMetadata(e.detail.track));
+  
+  ['loadedmetadata', 'timeupdate', 'ratechange', 'seeked'].forEach(type => {
+    audio.addEventListener(type, updatePositionState);
+  });
+  
+  updateMetadata(window.musicPlaylist?.current);
+})();
+
+/* ===== Floating Hearts Background ===== */
+(function floatingHearts() {
+  const canvas = document.getElementById('heartsCanvas');
+  if (!canvas) return;
+  
+  const ctx = canvas.getContext('2d');
+  let width, height;
+  const hearts = [];
+  const maxHearts = 120;
+  const sparkles = [];
+  const maxSparkles = 40;
+  let beatPulse = 0;
+  
+  // Pulse on every beat, and let strong beats release a few extra hearts
+  document.getElementById('audioPlayer')?.addEventListener('beat', (e) => {
+    if (prefersReducedMotion) return;
+    beatPulse = Math.max(beatPulse, e.detail.strength);
+    if (e.detail.strength > 0.7) {
+      for (let i = 0; i < 5 && hearts.length < maxHearts; i++) {
+        hearts.push(createHeart());
+      }
+    }
+  });
+  
+  function resize() {
+    width = canvas.clientWidth = window.innerWidth;
+    height = canvas.clientHeight = window.innerHeight;
+    canvas.width = width;
+    canvas.height = height;
+  }
+  
+  function createHeart() {
+    return {
+      x: Math.random() * width,
+      y: height + 20,
+      size: 8 + Math.random() * 12,
+      speedY: 0.3 + Math.random() * 0.8,
+      driftX: (Math.random() - 0.5) * 0.4,
+      rotate: Math.random() * Math.PI * 2,
+      opacity: 0.4 + Math.random() * 0.6,
+      pulse: Math.random() * 0.1,
+      color: Math.random() > 0.7 ? '#ffd166' : '#ff4d6d',
+      type: Math.random() > 0.8 ? 'filled' : 'gradient'
+    };
+  }
+  
+  function createSparkle() {
+    return {
+      x: Math.random() * width,
+      y: Math.random() * height,
+      size: 2 + Math.random() * 4,
+      speed: 0.5 + Math.random() * 1,
+      opacity: 0.3 + Math.random() * 0.7,
+      life: 1,
+      color: '#ffd166'
+    };
+  }
+  
+  function drawHeart(h) {
+    ctx.save();
+    ctx.translate(h.x, h.y);
+    ctx.rotate(h.rotate);
+    ctx.globalAlpha = h.opacity;
+    
+    // Pulsing effect
+    const pulseSize = h.size + Math.sin(Date.now() * 0.005 + h.pulse) * 3 + beatPulse * h.size * 0.6;
+    
+    // Different heart styles
+    if (h.type === 'filled') {
+      ctx.fillStyle = h.color;
+    } else {
+      // Create gradient
+      const grad = ctx.createRadialGradient(-pulseSize * 0.1, -pulseSize * 0.1, 0, 0, 0, pulseSize);
+      grad.addColorStop(0, '#ffffff');
+      grad.addColorStop(0.4, '#ff9eb1');
+      grad.addColorStop(1, h.color);
+      ctx.fillStyle = grad;
+    }
+    
+    // Draw heart shape
+    ctx.beginPath();
+    ctx.moveTo(0, pulseSize / 3);
+    ctx.bezierCurveTo(pulseSize, -pulseSize / 2, pulseSize * 1.3, pulseSize * 0.9, 0, pulseSize * 1.4);
+    ctx.bezierCurveTo(-pulseSize * 1.3, pulseSize * 0.9, -pulseSize, -pulseSize / 2, 0, pulseSize / 3);
+    ctx.closePath();
+    ctx.fill();
+    
+    // Add glow effect
+    ctx.shadowColor = h.color;
+    ctx.shadowBlur = 10;
+    ctx.fill();
+    ctx.shadowBlur = 0;
+    
+    ctx.restore();
+  }
+  
+  function drawSparkle(s) {
+    ctx.save();
+    ctx.globalAlpha = s.opacity;
+    ctx.fillStyle = s.color;
+    
+    // Draw star shape
+    ctx.beginPath();
+    for (let i = 0; i < 5; i++) {
+      const angle = (i * 2 * Math.PI) / 5 - Math.PI / 2;
+      const x = Math.cos(angle) * s.size;
+      const y = Math.sin(angle) * s.size;
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.closePath();
+    ctx.fill();
+    
+    ctx.restore();
+  }
+  
+  function update() {
+    if (prefersReducedMotion) return;
+    
+    // Let the last beat fade out
+    beatPulse *= 0.9;
+    
+    // Add new hearts
+    if (hearts.length < maxHearts && Math.random() < 0.8) {
+      hearts.push(createHeart());
+    }
+    
+    // Add new sparkles
+    if (sparkles.length < maxSparkles && Math.random() < 0.4) {
+      sparkles.push(createSparkle());
+    }
+    
+    // Update existing hearts
+    for (let i = hearts.length - 1; i >= 0; i--) {
+      const h = hearts[i];
+      h.y -= h.speedY;
+      h.x += h.driftX;
+      h.rotate += 0.008;
+      
+      // Remove hearts that are off screen
+      if (h.y < -30 || h.x < -30 || h.x > width + 30) {
+        hearts.splice(i, 1);
+      }
+    }
+    
+    // Update sparkles
+    for (let i = sparkles.length - 1; i >= 0; i--) {
+      const s = sparkles[i];
+      s.y -= s.speed;
+      s.life -= 0.01;
+      if (s.life <= 0 || s.y < -10) {
+        sparkles.splice(i, 1);
+      }
+    }
+  }
+  
+  function render() {
+    ctx.clearRect(0, 0, width, height);
+    
+    // Draw sparkles first (background)
+    for (const s of sparkles) {
+      drawSparkle(s);
+    }
+    
+    // Draw all hearts
+    for (const h of hearts) {
+      drawHeart(h);
+    }
+  }
+  
+  function animate() {
+    update();
+    render();
+    requestAnimationFrame(animate);
+  }
+  
+  // Initialize
+  resize();
+  window.addEventListener('resize', resize);
+  
+  // Start animation
+  animate();
+  
+  // Add some initial hearts
+  for (let i = 0; i < 30; i++) {
+    hearts.push(createHeart());
+  }
+  
+  // Add some initial sparkles
+  for (let i = 0; i < 15; i++) {
+    sparkles.push(createSparkle());
+  }
+})();
+
+/* ===== Advanced Audio Visualizer ===== */
+(function audioVisualizer() {
+  const canvas = document.getElementById('visualizerCanvas');
+  const audio = document.getElementById('audioPlayer');
+  if (!canvas || !audio || !audioEngine?.music) return;
+  
+  const ctx = canvas.getContext('2d');
+  const { analyser } = audioEngine.music;
+  
+  // Configure analyser
+  const visualizerSettings = storage.get('visualizer', { mode: 'bars', fftSize: 256, smoothing: 0.8 });
+  analyser.fftSize = visualizerSettings.fftSize;
+  analyser.smoothingTimeConstant = visualizerSettings.smoothing;
+  let bufferLength = analyser.frequencyBinCount;
+  let dataArray = new Uint8Array(bufferLength);
+  let waveArray = new Uint8Array(analyser.fftSize);
+  
+  // Canvas setup
+  const resizeCanvas = () => {
+    canvas.width = canvas.offsetWidth * 2;
+    canvas.height = canvas.offsetHeight * 2;
+    ctx.setTransform(2, 0, 0, 2, 0, 0);
+    drawVisualizer();
+  };
+  
+  // Mirrored frequency bars (the original visualizer)
+  function drawBars() {
+    analyser.getByteFrequencyData(dataArray);
+    
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    
+    const barWidth = (canvas.width / 2) / bufferLength;
+    let barHeight;
+    let x = 0;
+    
+    // Draw frequency bars
+    for (let i = 0; i < bufferLength; i++) {
+      barHeight = (dataArray[i] / 255) * (canvas.height / 2);
+      
+      // Create gradient for bars
+      const gradient = ctx.createLinearGradient(0, canvas.height / 2 - barHeight, 0, canvas.height / 2);
+      gradient.addColorStop(0, '#ff4d6d');
+      gradient.addColorStop(0.5, '#ffd166');
+      gradient.addColorStop(1, '#ff6b9d');
+      
+      ctx.fillStyle = gradient;
+      
+      // Draw main bar
+      ctx.fillRect(x, canvas.height / 2 - barHeight, barWidth - 1, barHeight);
+      
+      // Draw mirror bar
+      ctx.fillRect(x, canvas.height / 2, barWidth - 1, barHeight);
+      
+      // Add glow effect
+      ctx.shadowColor = '#ff4d6d';
+      ctx.shadowBlur = 5;
+      ctx.fillRect(x, canvas.height / 2 - barHeight, barWidth - 1, barHeight);
+      ctx.fillRect(x, canvas.height / 2, barWidth - 1, barHeight);
+      ctx.shadowBlur = 0;
+      
+      x += barWidth;
+    }
+    
+    // Draw center line
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, canvas.height / 4);
+    ctx.lineTo(canvas.width / 2, canvas.height / 4);
+    ctx.stroke();
+    
+    ctx.beginPath();
+    ctx.moveTo(0, canvas.height * 3 / 4);
+    ctx.lineTo(canvas.width / 2, canvas.height * 3 / 4);
+    ctx.stroke();
+  }
+  
+  // Oscilloscope: raw time-domain waveform
+  function drawWaveform() {
+    const width = canvas.width / 2;
+    const height = canvas.height / 2;
+    analyser.getByteTimeDomainData(waveArray);
+    
+    ctx.clearRect(0, 0, width, height);
+    ctx.beginPath();
+    const step = width / (waveArray.length - 1);
+    for (let i = 0; i < waveArray.length; i++) {
+      const y = (waveArray[i] / 255) * height;
+      if (i === 0) ctx.moveTo(0, y);
+      else ctx.lineTo(i * step, y);
+    }
+    
+    const gradient = ctx.createLinearGradient(0, 0, width, 0);
+    gradient.addColorStop(0, '#ff4d6d');
+    gradient.addColorStop(0.5, '#ffd166');
+    gradient.addColorStop(1, '#ff6b9d');
+    ctx.strokeStyle = gradient;
+    ctx.lineWidth = 2;
+    ctx.shadowColor = '#ff4d6d';
+    ctx.shadowBlur = 8;
+    ctx.stroke();
+    ctx.shadowBlur = 0;
+  }
+  
+  // Radial heart: the classic heart curve pushed outwards by the spectrum,
+  // mirrored so both halves of the heart move together
+  function drawRadialHeart() {
+    const width = canvas.width / 2;
+    const height = canvas.height / 2;
+    analyser.getByteFrequencyData(dataArray);
+    
+    ctx.clearRect(0, 0, width, height);
+    
+    const points = 120;
+    const scale = Math.min(width, height) / 48;
+    const usableBins = Math.floor(bufferLength * 0.7);
+    const bass = dataArray.slice(0, 8).reduce((sum, v) => sum + v, 0) / (8 * 255);
+    
+    ctx.save();
+    ctx.translate(width / 2, height / 2 - 2.5 * scale);
+    ctx.scale(1 + bass * 0.15, 1 + bass * 0.15);
+    ctx.beginPath();
+    for (let i = 0; i <= points; i++) {
+      const t = (i / points) * Math.PI * 2;
+      const mirrored = 1 - Math.abs(t - Math.PI) / Math.PI;
+      const level = dataArray[Math.floor(mirrored * (usableBins - 1))] / 255;
+      const x = 16 * Math.pow(Math.sin(t), 3);
+      const y = -(13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t));
+      const push = 1 + level * 0.6;
+      if (i === 0) ctx.moveTo(x * scale * push, y * scale * push);
+      else ctx.lineTo(x * scale * push, y * scale * push);
+    }
+    ctx.closePath();
+    
+    const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, scale * 20);
+    gradient.addColorStop(0, '#ffffff');
+    gradient.addColorStop(0.4, '#ff9eb1');
+    gradient.addColorStop(1, '#ff4d6d');
+    ctx.fillStyle = gradient;
+    ctx.globalAlpha = 0.85;
+    ctx.shadowColor = '#ff4d6d';
+    ctx.shadowBlur = 10 + bass * 20;
+    ctx.fill();
+    ctx.restore();
+  }
+  
+  // Scrolling spectrogram: time runs right to left, low notes at the bottom
+  function drawSpectrogram() {
+    const width = canvas.width / 2;
+    const height = canvas.height / 2;
+    const speed = 2;
+    analyser.getByteFrequencyData(dataArray);
+    
+    // Shift what is already drawn, in device pixels
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.drawImage(canvas, -speed * 2, 0);
+    ctx.restore();
+    
+    ctx.clearRect(width - speed, 0, speed, height);
+    // Logarithmic frequency axis, like the equalizer curve
+    for (let y = 0; y < height; y++) {
+      const position = 1 - y / height;
+      const bin = Math.min(bufferLength - 1, Math.floor(Math.pow(bufferLength, position)) - 1);
+      const value = dataArray[Math.max(0, bin)] / 255;
+      if (value === 0) continue;
+      ctx.fillStyle = `hsla(${340 + value * 60}, 90%, ${20 + value * 50}%, ${value})`;
+      ctx.fillRect(width - speed, y, speed, 1);
+    }
+  }
+  
+  const renderers = {
+    bars: drawBars,
+    wave: drawWaveform,
+    heart: drawRadialHeart,
+    spectrogram: drawSpectrogram
+  };
+  
+  let visualizerMode = renderers[visualizerSettings.mode] ? visualizerSettings.mode : 'bars';
+  let animationId = null;
+  let canvasVisible = false;
+  
+  // Visualization function
+  function drawVisualizer() {
+    renderers[visualizerMode]();
+  }
+  
+  function renderLoop() {
+    drawVisualizer();
+    animationId = requestAnimationFrame(renderLoop);
+  }
+  
+  // Only animate while the song plays and the canvas is on screen
+  function updateLoop() {
+    const shouldRun = canvasVisible && !audio.paused;
+    if (shouldRun && !animationId) {
+      animationId = requestAnimationFrame(renderLoop);
+    } else if (!shouldRun && animationId) {
+      cancelAnimationFrame(animationId);
+      animationId = null;
+    }
+  }
+  
+  new IntersectionObserver((entries) => {
+    canvasVisible = entries[0].isIntersecting;
+    updateLoop();
+  }).observe(canvas);
+  
+  audio.addEventListener('play', updateLoop);
+  audio.addEventListener('pause', updateLoop);
+  
+  // Visualizer settings
+  const modeSelect = document.getElementById('visualizerMode');
+  const fftSelect = document.getElementById('fftSize');
+  const smoothingSlider = document.getElementById('smoothingSlider');
+  
+  function saveVisualizerSettings() {
+    storage.set('visualizer', {
+      mode: visualizerMode,
+      fftSize: analyser.fftSize,
+      smoothing: analyser.smoothingTimeConstant
+    });
+  }
+  
+  if (modeSelect) {
+    modeSelect.value = visualizerMode;
+    modeSelect.addEventListener('change', () => {
+      visualizerMode = renderers[modeSelect.value] ? modeSelect.value : 'bars';
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      drawVisualizer();
+      saveVisualizerSettings();
+    });
+  }
+  
+  if (fftSelect) {
+    fftSelect.value = analyser.fftSize;
+    fftSelect.addEventListener('change', () => {
+      analyser.fftSize = Number(fftSelect.value);
+      bufferLength = analyser.frequencyBinCount;
+      dataArray = new Uint8Array(bufferLength);
+      waveArray = new Uint8Array(analyser.fftSize);
+      saveVisualizerSettings();
+    });
+  }
+  
+  if (smoothingSlider) {
+    smoothingSlider.value = analyser.smoothingTimeConstant;
+    smoothingSlider.addEventListener('input', () => {
+      analyser.smoothingTimeConstant = Number(smoothingSlider.value);
+      saveVisualizerSettings();
+    });
+  }
+  
+  resizeCanvas();
+  window.addEventListener('resize', resizeCanvas);
+  
+  // Enhanced playback controls
+  const loopBtn = document.getElementById('loopBtn');
+  const shuffleBtn = document.getElementById('shuffleBtn');
+  const backwardBtn = document.getElementById('backwardBtn');
+  const forwardBtn = document.getElementById('forwardBtn');
+  
+  if (loopBtn) {
+    audio.loop = storage.get('loop', false);
+    loopBtn.classList.toggle('active', audio.loop);
+    
+    loopBtn.addEventListener('click', () => {
+      audio.loop = !audio.loop;
+      loopBtn.classList.toggle('active', audio.loop);
+      storage.set('loop', audio.loop);
+      
+      // Visual feedback
+      if (window.gsap) {
+        gsap.to(loopBtn, {
           rotation: 360,
           duration: 0.6,
           ease: 'power2.out'
         });
       }
+      
+      // Add confetti for loop activation
+      if (audio.loop && window.confetti) {
+        confetti({
+          particleCount: 30,
+          spread: 45,
+          origin: { y: 0.6 }
+        });
+      }
+    });
+  }
+  
+  if (backwardBtn) {
+    backwardBtn.addEventListener('click', () => {
+      audio.currentTime = Math.max(0, audio.currentTime - 10);
+      
+      // Visual feedback
+      if (window.gsap) {
+        gsap.to(backwardBtn, {
+          x: -5,
+          duration: 0.2,
+          ease: 'power2.out',
+          yoyo: true,
+          repeat: 1
+        });
+      }
+    });
+  }
+  
+  if (forwardBtn) {
+    forwardBtn.addEventListener('click', () => {
+      audio.currentTime = Math.min(audio.duration, audio.currentTime + 10);
+      
+      // Visual feedback
+      if (window.gsap) {
+        gsap.to(forwardBtn, {
+          x: 5,
+          duration: 0.2,
+          ease: 'power2.out',
+          yoyo: true,
+          repeat: 1
+        });
+      }
+    });
+  }
+  
+  // Audio effects and enhancements
+  audio.addEventListener('play', () => {
+    // Resume audio context if suspended
+    audioEngine.resume();
+    
+    // Add visual enhancement to vinyl
+    if (window.gsap) {
+      gsap.to('.vinyl-disc', {
+        scale: 1.05,
+        duration: 0.5,
+        ease: 'back.out(2)'
+      });
+    }
+  });
+  
+  audio.addEventListener('pause', () => {
+    // Add pause effect
+    if (window.gsap) {
+      gsap.to('.vinyl-disc', {
+        scale: 0.95,
+        duration: 0.3,
+        ease: 'power2.out'
+      });
+    }
+  });
+  
+  // Add keyboard shortcuts for new controls
+  document.addEventListener('keydown', (e) => {
+    if (isTypingTarget(e.target)) return;
+    
+    switch(e.code) {
+      case 'KeyL':
+        e.preventDefault();
+        loopBtn?.click();
+        break;
+      case 'KeyS':
+        e.preventDefault();
+        shuffleBtn?.click();
+        break;
+      case 'Comma':
+        e.preventDefault();
+        backwardBtn?.click();
+        break;
+      case 'Period':
+        e.preventDefault();
+        forwardBtn?.click();
+        break;
+    }
+  });
+})();
+
+/* ===== Graphic Equalizer ===== */
+(function graphicEqualizer() {
+  const graph = audioEngine?.music;
+  const bandsEl = document.getElementById('eqBands');
+  const preampSlider = document.getElementById('preampSlider');
+  const presetSelect = document.getElementById('eqPreset');
+  const savePresetBtn = document.getElementById('saveEqPreset');
+  const deletePresetBtn = document.getElementById('deleteEqPreset');
+  const curveCanvas = document.getElementById('eqCurveCanvas');
+  
+  if (!graph || !bandsEl) return;
+  
+  const { preamp, eqBands } = graph;
+  const MAX_GAIN = 12;
+  const CURVE_RANGE = 18;
+  
+  const builtInPresets = {
+    'Płaski': { preamp: 0, gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+    'Romantyczny': { preamp: -2, gains: [2, 3, 2, 1, 0, 1, 2, 1, 0, -1] },
+    'Impreza': { preamp: -5, gains: [6, 5, 3, 0, -1, -1, 1, 3, 5, 6] },
+    'Wokal': { preamp: -2, gains: [-3, -2, -1, 1, 3, 4, 4, 2, 0, -1] }
+  };
+  
+  let customPresets = storage.get('eq-presets', {});
+  let current = storage.get('eq', { preset: 'Płaski', ...builtInPresets['Płaski'] });
+  
+  const bandSliders = eqBands.map(band => {
+    const frequency = band.frequency.value;
+    const label = frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`;
+    const wrapper = document.createElement('div');
+    wrapper.className = 'eq-slider eq-band';
+    wrapper.innerHTML = `
+      <input type="range" min="${-MAX_GAIN}" max="${MAX_GAIN}" step="1" value="0" class="eq-range" aria-label="${label}Hz">
+      <label>${label}</label>
+    `;
+    bandsEl.appendChild(wrapper);
+    return wrapper.querySelector('input');
+  });
+  
+  function findPreset(name) {
+    return builtInPresets[name] || customPresets[name];
+  }
+  
+  function renderPresetOptions() {
+    if (!presetSelect) return;
+    presetSelect.innerHTML = '<option value="">Własne ustawienia</option>';
+    
+    [['Gotowe', builtInPresets], ['Moje', customPresets]].forEach(([label, presets]) => {
+      const names = Object.keys(presets);
+      if (!names.length) return;
+      const group = document.createElement('optgroup');
+      group.label = label;
+      names.forEach(name => group.appendChild(new Option(name, name)));
+      presetSelect.appendChild(group);
+    });
+    
+    presetSelect.value = findPreset(current.preset) ? current.preset : '';
+  }
+  
+  const dbToGain = (db) => Math.pow(10, db / 20);
+  
+  function apply(settings, presetName = '') {
+    current = {
+      preset: presetName,
+      preamp: settings.preamp,
+      gains: settings.gains.slice(0, eqBands.length)
+    };
+    
+    preamp.gain.value = dbToGain(current.preamp);
+    eqBands.forEach((band, i) => {
+      band.gain.value = current.gains[i] || 0;
+      bandSliders[i].value = current.gains[i] || 0;
+    });
+    if (preampSlider) preampSlider.value = current.preamp;
+    
+    if (presetSelect) presetSelect.value = presetName;
+    if (deletePresetBtn) deletePresetBtn.disabled = !customPresets[presetName];
+    
+    storage.set('eq', current);
+    drawCurve();
+  }
+  
+  // Any manual tweak turns the active preset into "custom" settings
+  function readSliders() {
+    apply({
+      preamp: Number(preampSlider?.value || 0),
+      gains: bandSliders.map(slider => Number(slider.value))
+    });
+  }
+  
+  bandSliders.forEach(slider => slider.addEventListener('input', readSliders));
+  preampSlider?.addEventListener('input', readSliders);
+  
+  presetSelect?.addEventListener('change', () => {
+    const preset = findPreset(presetSelect.value);
+    if (preset) apply(preset, presetSelect.value);
+  });
+  
+  savePresetBtn?.addEventListener('click', () => {
+    const name = prompt('Nazwa ustawień korektora:', current.preset && !builtInPresets[current.preset] ? current.preset : '')?.trim();
+    if (!name) return;
+    if (builtInPresets[name]) {
+      alert('Ta nazwa jest zarezerwowana dla gotowych ustawień. Wybierz inną.');
+      return;
+    }
+    
+    customPresets[name] = { preamp: current.preamp, gains: current.gains.slice() };
+    storage.set('eq-presets', customPresets);
+    renderPresetOptions();
+    apply(customPresets[name], name);
+  });
+  
+  deletePresetBtn?.addEventListener('click', () => {
+    const name = current.preset;
+    if (!customPresets[name] || !confirm(`Usunąć ustawienia „${name}”?`)) return;
+    
+    delete customPresets[name];
+    storage.set('eq-presets', customPresets);
+    renderPresetOptions();
+    apply(current);
+  });
+  
+  /* Frequency response curve */
+  const curveCtx = curveCanvas?.getContext('2d');
+  const CURVE_POINTS = 200;
+  // Log-spaced from 20 Hz to 20 kHz
+  const curveFrequencies = new Float32Array(CURVE_POINTS).map((_, i) => 20 * Math.pow(1000, i / (CURVE_POINTS - 1)));
+  const magnitude = new Float32Array(CURVE_POINTS);
+  const phase = new Float32Array(CURVE_POINTS);
+  
+  function resizeCurve() {
+    if (!curveCanvas) return;
+    curveCanvas.width = curveCanvas.offsetWidth * 2;
+    curveCanvas.height = curveCanvas.offsetHeight * 2;
+    drawCurve();
+  }
+  
+  function drawCurve() {
+    if (!curveCtx) return;
+    const width = curveCanvas.width;
+    const height = curveCanvas.height;
+    const toY = (db) => height / 2 - (db / CURVE_RANGE) * (height / 2);
+    
+    const response = new Float32Array(CURVE_POINTS).fill(current.preamp);
+    eqBands.forEach(band => {
+      band.getFrequencyResponse(curveFrequencies, magnitude, phase);
+      for (let i = 0; i < CURVE_POINTS; i++) {
+        response[i] += 20 * Math.log10(magnitude[i]);
+      }
     });
     
-    card.addEventListener('mouseleave', () => {
-      if (window.gsap) {
-        gsap.to(card, { 
-          scale: 1, 
-          duration: 0.4, 
-          ease: 'power2.out' 
-        });
-      }
+    curveCtx.clearRect(0, 0, width, height);
+    
+    // Grid: 0 dB and ±12 dB
+    curveCtx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    curveCtx.lineWidth = 1;
+    [-MAX_GAIN, 0, MAX_GAIN].forEach(db => {
+      curveCtx.beginPath();
+      curveCtx.moveTo(0, toY(db));
+      curveCtx.lineTo(width, toY(db));
+      curveCtx.stroke();
     });
-  });
+    
+    curveCtx.beginPath();
+    for (let i = 0; i < CURVE_POINTS; i++) {
+      const x = (i / (CURVE_POINTS - 1)) * width;
+      const y = Math.max(0, Math.min(height, toY(response[i])));
+      if (i === 0) curveCtx.moveTo(x, y);
+      else curveCtx.lineTo(x, y);
+    }
+    
+    const gradient = curveCtx.createLinearGradient(0, 0, width, 0);
+    gradient.addColorStop(0, '#ff4d6d');
+    gradient.addColorStop(0.5, '#ffd166');
+    gradient.addColorStop(1, '#ff6b9d');
+    curveCtx.strokeStyle = gradient;
+    curveCtx.lineWidth = 3;
+    curveCtx.shadowColor = '#ff4d6d';
+    curveCtx.shadowBlur = 6;
+    curveCtx.stroke();
+    curveCtx.shadowBlur = 0;
+    
+    // Soft fill down to the 0 dB line
+    curveCtx.lineTo(width, toY(0));
+    curveCtx.lineTo(0, toY(0));
+    curveCtx.closePath();
+    curveCtx.fillStyle = 'rgba(255, 77, 109, 0.15)';
+    curveCtx.fill();
+  }
+  
+  window.addEventListener('resize', resizeCurve);
+  
+  renderPresetOptions();
+  apply(current, findPreset(current.preset) ? current.preset : '');
+  resizeCurve();
 })();
 
-/* ===== Particle Burst on Special Moments ===== */
-function createParticleBurst(x, y, color = '#ff4d6d') {
-  const particleCount = 15;
-  const particles = [];
+/* ===== Beat Detection ===== */
+(function beatDetector() {
+  const audio = document.getElementById('audioPlayer');
+  const graph = audioEngine?.music;
+  if (!audio || !graph) return;
   
-  for (let i = 0; i < particleCount; i++) {
-    const particle = document.createElement('div');
-    particle.style.cssText = `
-      position: fixed;
-      left: ${x}px;
-      top: ${y}px;
-      width: 6px;
-      height: 6px;
-      background: ${color};
-      border-radius: 50%;
-      pointer-events: none;
-      z-index: 10000;
-    `;
-    
-    document.body.appendChild(particle);
-    
-    const angle = (i / particleCount) * Math.PI * 2;
-    const velocity = 100 + Math.random() * 100;
-    const vx = Math.cos(angle) * velocity;
-    const vy = Math.sin(angle) * velocity;
+  const { context } = audioEngine;
+  const { analyser } = graph;
+  
+  // Kick drums and bass live below ~150 Hz
+  const BASS_CUTOFF = 150;
+  // About one second of history at 60 fps
+  const HISTORY_SIZE = 60;
+  const SENSITIVITY = 1.4;
+  const MIN_ENERGY = 0.25;
+  // Never report more than 4 beats per second (240 BPM)
+  const COOLDOWN = 250;
+  
+  const history = [];
+  let spectrum = new Uint8Array(analyser.frequencyBinCount);
+  let lastBeat = 0;
+  let animationId = null;
+  
+  function bassEnergy() {
+    // The visualizer may change fftSize at any time
+    if (spectrum.length !== analyser.frequencyBinCount) {
+      spectrum = new Uint8Array(analyser.frequencyBinCount);
+    }
+    analyser.getByteFrequencyData(spectrum);
     
-    particles.push({ element: particle, vx, vy, life: 1 });
+    const binWidth = context.sampleRate / analyser.fftSize;
+    const bins = Math.max(1, Math.round(BASS_CUTOFF / binWidth));
+    let sum = 0;
+    for (let i = 0; i < bins; i++) sum += spectrum[i];
+    return sum / (bins * 255);
   }
   
-  function animateParticles() {
-    particles.forEach((p, index) => {
-      p.element.style.left = parseFloat(p.element.style.left) + p.vx * 0.016 + 'px';
-      p.element.style.top = parseFloat(p.element.style.top) + p.vy * 0.016 + 'px';
-      p.vy += 50; // gravity
-      p.life -= 0.02;
-      p.element.style.opacity = p.life;
+  // Energy onset: the bass is clearly louder than its recent average
+  function detect() {
+    const energy = bassEnergy();
+    
+    if (history.length >= HISTORY_SIZE / 2) {
+      const mean = history.reduce((sum, e) => sum + e, 0) / history.length;
+      const variance = history.reduce((sum, e) => sum + (e - mean) ** 2, 0) / history.length;
+      const threshold = mean + SENSITIVITY * Math.sqrt(variance);
+      const now = performance.now();
       
-      if (p.life <= 0) {
-        p.element.remove();
-        particles.splice(index, 1);
+      if (energy > threshold && energy > MIN_ENERGY && now - lastBeat > COOLDOWN) {
+        lastBeat = now;
+        audio.dispatchEvent(new CustomEvent('beat', {
+          detail: {
+            strength: Math.min(1, (energy - mean) / (mean || 1) + 0.3),
+            energy
+          }
+        }));
       }
-    });
-    
-    if (particles.length > 0) {
-      requestAnimationFrame(animateParticles);
     }
+    
+    history.push(energy);
+    if (history.length > HISTORY_SIZE) history.shift();
+    
+    animationId = requestAnimationFrame(detect);
   }
   
-  animateParticles();
-}
-
-// Add particle burst to memory cards
-document.addEventListener('DOMContentLoaded', () => {
-  $$('.memory-card').forEach(card => {
-    card.addEventListener('click', (e) => {
-      createParticleBurst(e.clientX, e.clientY, '#ffd166');
-    });
+  audio.addEventListener('play', () => {
+    if (!animationId) animationId = requestAnimationFrame(detect);
   });
-});
+  
+  audio.addEventListener('pause', () => {
+    cancelAnimationFrame(animationId);
+    animationId = null;
+    history.length = 0;
+  });
+})();
 
-/* ===== Music Player Functionality ===== */
-(function musicPlayer() {
+/* ===== Crossfade & Gapless Transitions ===== */
+(function trackTransitions() {
   const audio = document.getElementById('audioPlayer');
-  const playPauseBtn = document.getElementById('playPauseBtn');
-  const stopBtn = document.getElementById('stopBtn');
-  const volumeBtn = document.getElementById('volumeBtn');
-  const volumeSlider = document.getElementById('volumeSlider');
-  const progressBar = document.querySelector('.progress-bar');
-  const progressFill = document.querySelector('.progress-fill');
-  const progressHandle = document.querySelector('.progress-handle');
-  const currentTimeEl = document.getElementById('currentTime');
-  const totalTimeEl = document.getElementById('totalTime');
-  const vinylDisc = document.querySelector('.vinyl-disc');
+  const crossfadeSlider = document.getElementById('crossfadeSlider');
+  const crossfadeValue = document.getElementById('crossfadeValue');
+  const graph = audioEngine?.music;
   
-  if (!audio) return;
+  if (!audio || !graph) return;
   
-  let isPlaying = false;
-  let isDragging = false;
+  const { context } = audioEngine;
+  const { input, trackGain } = graph;
+  
+  // How long the next song takes to start; handoffs never happen later than this
+  const START_LATENCY = 0.15;
+  // The tail deck starts (muted) this much earlier so it is already running at handoff
+  const PREROLL = 1;
+  // Shortest overlap, used for gapless handoffs when crossfade is off
+  const MIN_FADE = 0.05;
   
-  // Format time function
-  function formatTime(seconds) {
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
+  // Second element that carries the end of the outgoing song while
+  // #audioPlayer already plays the next one (or the start of the same one when looping)
+  const tail = new Audio();
+  tail.preload = 'auto';
+  const tailGain = context.createGain();
+  tailGain.gain.value = 0;
+  audioEngine.createElementSource(tail).connect(tailGain);
+  tailGain.connect(input);
+  
+  let crossfade = storage.get('crossfade', Number(crossfadeSlider?.value || 0));
+  if (crossfadeSlider) crossfadeSlider.value = crossfade;
+  let state = 'idle'; // idle → armed → switching → idle
+  let handoffTimer;
+  
+  // Equal-power curves keep the perceived loudness steady during the overlap
+  function fadeCurve(fadeIn) {
+    const curve = new Float32Array(64);
+    for (let i = 0; i < curve.length; i++) {
+      const t = i / (curve.length - 1);
+      curve[i] = fadeIn ? Math.sin(t * Math.PI / 2) : Math.cos(t * Math.PI / 2);
+    }
+    return curve;
   }
   
-  // Update progress bar
-  function updateProgress() {
-    if (audio.duration && !isDragging) {
-      const progress = (audio.currentTime / audio.duration) * 100;
-      progressFill.style.width = `${progress}%`;
-      progressHandle.style.left = `${progress}%`;
-      currentTimeEl.textContent = formatTime(audio.currentTime);
+  function rampGain(gain, fadeIn, duration) {
+    const now = context.currentTime;
+    gain.cancelScheduledValues(now);
+    gain.setValueCurveAtTime(fadeCurve(fadeIn), now, Math.max(duration, MIN_FADE));
+  }
+  
+  function setGain(gain, value) {
+    gain.cancelScheduledValues(context.currentTime);
+    gain.setValueAtTime(value, context.currentTime);
+  }
+  
+  function remaining() {
+    return (audio.duration - audio.currentTime) / (audio.playbackRate || 1);
+  }
+  
+  function leadTime() {
+    return Math.max(crossfade, START_LATENCY);
+  }
+  
+  function hasSuccessor() {
+    if (window.sleepTimer?.stopsAfterTrack) return false;
+    return audio.loop || (window.musicPlaylist?.peekNext() ?? -1) !== -1;
+  }
+  
+  function reset() {
+    clearTimeout(handoffTimer);
+    state = 'idle';
+    tail.pause();
+    setGain(tailGain.gain, 0);
+    setGain(trackGain.gain, 1);
+  }
+  
+  // Start the tail deck muted, in step with the main player
+  function arm() {
+    state = 'armed';
+    if (tail.src !== audio.currentSrc) tail.src = audio.currentSrc;
+    tail.currentTime = audio.currentTime;
+    tail.playbackRate = audio.playbackRate;
+    setGain(tailGain.gain, 0);
+    tail.play().catch(reset);
+    
+    clearTimeout(handoffTimer);
+    handoffTimer = setTimeout(handoff, Math.max(0, remaining() - leadTime()) * 1000);
+  }
+  
+  function handoff() {
+    if (state !== 'armed' || audio.paused) {
+      reset();
+      return;
+    }
+    state = 'switching';
+    
+    // Same audio on both decks, so swapping them is inaudible
+    setGain(tailGain.gain, 1);
+    setGain(trackGain.gain, 0);
+    if (crossfade > 0) rampGain(tailGain.gain, false, Math.min(crossfade, remaining()));
+    
+    // Fade the incoming audio in once it really plays
+    const looping = audio.loop;
+    audio.addEventListener(looping ? 'seeked' : 'playing', () => {
+      state = 'idle';
+      rampGain(trackGain.gain, true, crossfade);
+    }, { once: true });
+    
+    if (looping) {
+      audio.currentTime = 0;
+    } else {
+      window.musicPlaylist.next({ wrap: false, autoplay: true });
     }
   }
   
-  // Update total time when metadata is loaded
-  audio.addEventListener('loadedmetadata', () => {
-    totalTimeEl.textContent = formatTime(audio.duration);
+  audio.addEventListener('timeupdate', () => {
+    if (state !== 'idle' || audio.paused || !Number.isFinite(audio.duration)) return;
+    if (hasSuccessor() && remaining() <= leadTime() + PREROLL) arm();
   });
   
-  // Update progress every 100ms
-  audio.addEventListener('timeupdate', updateProgress);
+  // Manual seeks and track changes cancel a pending handoff
+  audio.addEventListener('seeking', () => {
+    if (state === 'armed') reset();
+  });
   
-  // Play/Pause functionality
-  playPauseBtn.addEventListener('click', () => {
-    if (isPlaying) {
-      audio.pause();
-      isPlaying = false;
-      playPauseBtn.classList.remove('playing');
-      vinylDisc.classList.remove('playing');
-      vinylDisc.classList.add('paused');
+  audio.addEventListener('trackchange', () => {
+    if (state === 'armed') reset();
+  });
+  
+  audio.addEventListener('pause', () => {
+    if (state !== 'switching') reset();
+  });
+  
+  tail.addEventListener('ended', () => setGain(tailGain.gain, 0));
+  
+  function updateCrossfadeLabel() {
+    if (crossfadeValue) {
+      crossfadeValue.textContent = crossfade > 0 ? `${crossfade} s` : 'wył.';
+    }
+  }
+  
+  crossfadeSlider?.addEventListener('input', (e) => {
+    crossfade = Number(e.target.value);
+    storage.set('crossfade', crossfade);
+    updateCrossfadeLabel();
+  });
+  
+  updateCrossfadeLabel();
+})();
+
+/* ===== Playback Resume ===== */
+(function playbackResume() {
+  const audio = document.getElementById('audioPlayer');
+  const resumePrompt = document.getElementById('resumePrompt');
+  const promptText = document.getElementById('resumePromptText');
+  const continueBtn = document.getElementById('resumeContinueBtn');
+  const restartBtn = document.getElementById('resumeRestartBtn');
+  const stopBtn = document.getElementById('stopBtn');
+  const playlist = window.musicPlaylist;
+  
+  if (!audio || !playlist) return;
+  
+  // Positions this close to either end are not worth resuming
+  const MIN_POSITION = 5;
+  const SAVE_INTERVAL = 2000;
+  
+  let lastSavedAt = 0;
+  // Saved state of an imported track that is still being read from the database
+  let pending = null;
+  
+  function save(time = audio.currentTime) {
+    if (pending) return;
+    lastSavedAt = Date.now();
+    storage.set('resume', { track: playlist.current.id, time });
+  }
+  
+  function hidePrompt() {
+    if (resumePrompt) resumePrompt.hidden = true;
+  }
+  
+  // Seek once the element knows its duration; setting currentTime any earlier is unreliable
+  function whenMetadataLoaded(callback) {
+    if (audio.readyState >= HTMLMediaElement.HAVE_METADATA) {
+      callback();
     } else {
-      audio.play();
-      isPlaying = true;
-      playPauseBtn.classList.add('playing');
-      vinylDisc.classList.add('playing');
-      vinylDisc.classList.remove('paused');
+      audio.addEventListener('loadedmetadata', callback, { once: true });
+    }
+  }
+  
+  function restore(saved) {
+    if (!saved) return;
+    
+    // Tracks are matched by id, so the saved state survives playlist edits
+    const index = playlist.tracks.findIndex(track => track.id === saved.track);
+    if (index === -1) {
+      pending = saved;
+      return;
+    }
+    pending = null;
+    if (index !== playlist.index) playlist.select(index, { autoplay: false });
+    
+    if (!(saved.time >= MIN_POSITION)) return;
+    
+    whenMetadataLoaded(() => {
+      if (saved.time > audio.duration - MIN_POSITION) return;
+      audio.currentTime = saved.time;
       
-      // Add confetti when music starts
-      if (window.confetti) {
-        confetti({
-          particleCount: 50,
-          spread: 45,
-          origin: { y: 0.6 }
-        });
+      if (resumePrompt && audio.paused) {
+        promptText.textContent = `Kontynuować od ${formatTime(saved.time)}?`;
+        resumePrompt.hidden = false;
       }
-    }
+    });
+  }
+  
+  restore(storage.get('resume'));
+  
+  // Imported tracks arrive later; playing or picking something first wins
+  audio.addEventListener('playlistchange', () => {
+    if (pending) restore(pending);
+  });
+  continueBtn?.addEventListener('click', () => {
+    hidePrompt();
+    audio.play().catch(error => logger.warn('Playback failed: ' + error.message));
   });
   
-  // Stop functionality
-  stopBtn.addEventListener('click', () => {
-    audio.pause();
+  restartBtn?.addEventListener('click', () => {
+    hidePrompt();
     audio.currentTime = 0;
-    isPlaying = false;
-    playPauseBtn.classList.remove('playing');
-    vinylDisc.classList.remove('playing', 'paused');
-    updateProgress();
+    save(0);
+  });
+  
+  audio.addEventListener('play', () => {
+    pending = null;
+    hidePrompt();
+  });
+  audio.addEventListener('trackchange', () => {
+    pending = null;
+    hidePrompt();
+    save(0);
+  });
+  
+  audio.addEventListener('timeupdate', () => {
+    if (!audio.paused && Date.now() - lastSavedAt >= SAVE_INTERVAL) save();
+  });
+  audio.addEventListener('pause', () => save());
+  audio.addEventListener('seeked', () => save());
+  audio.addEventListener('ended', () => save(0));
+  stopBtn?.addEventListener('click', () => save(0));
+  
+  // Last chance to store the exact position when the tab is closed or hidden
+  // (nothing to store while a track is still loading)
+  window.addEventListener('pagehide', () => {
+    if (audio.readyState) save();
+  });
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden' && audio.readyState) save();
+  });
+})();
+
+/* ===== A–B Repeat, Playback Speed & Sleep Timer ===== */
+(function playbackTools() {
+  const audio = document.getElementById('audioPlayer');
+  const progressBar = document.querySelector('.music-player .progress-bar');
+  const abRepeatBtn = document.getElementById('abRepeatBtn');
+  const rateSelect = document.getElementById('playbackRate');
+  const sleepSelect = document.getElementById('sleepTimer');
+  const sleepLabel = document.getElementById('sleepTimerLabel');
+  
+  if (!audio) return;
+  
+  // A–B repeat: the segment needs some length, or the player would stutter in place
+  const MIN_SEGMENT = 0.5;
+  
+  let pointA = null;
+  let pointB = null;
+  let abFrame = null;
+  
+  // Drawn over the progress fill but under the drag handle
+  const handle = progressBar?.querySelector('.progress-handle') || null;
+  const range = document.createElement('div');
+  range.className = 'ab-range';
+  range.hidden = true;
+  progressBar?.insertBefore(range, handle);
+  
+  const markers = ['a', 'b'].map(name => {
+    const marker = document.createElement('div');
+    marker.className = `ab-marker ab-marker-${name}`;
+    marker.hidden = true;
+    progressBar?.insertBefore(marker, handle);
+    return marker;
   });
   
-  // Volume control
-  volumeSlider.addEventListener('input', (e) => {
-    const volume = e.target.value / 100;
-    audio.volume = volume;
+  function percent(time) {
+    return `${(time / audio.duration) * 100}%`;
+  }
+  
+  function renderAbRepeat() {
+    const known = Number.isFinite(audio.duration);
+    [pointA, pointB].forEach((point, i) => {
+      markers[i].hidden = point === null || !known;
+      if (!markers[i].hidden) markers[i].style.left = percent(point);
+    });
+    
+    range.hidden = pointB === null || !known;
+    if (!range.hidden) {
+      range.style.left = percent(pointA);
+      range.style.width = `${((pointB - pointA) / audio.duration) * 100}%`;
+    }
+    
+    if (abRepeatBtn) {
+      abRepeatBtn.classList.toggle('pending', pointA !== null && pointB === null);
+      abRepeatBtn.classList.toggle('active', pointB !== null);
+      abRepeatBtn.setAttribute('aria-pressed', String(pointB !== null));
+    }
+  }
+  
+  // Checked every frame rather than on timeupdate, which only fires every ~250ms
+  function watchSegment() {
+    if (pointB === null || audio.paused) {
+      abFrame = null;
+      return;
+    }
+    if (audio.currentTime >= pointB || audio.currentTime < pointA - MIN_SEGMENT) {
+      audio.currentTime = pointA;
+    }
+    abFrame = requestAnimationFrame(watchSegment);
+  }
+  
+  function startWatching() {
+    if (abFrame === null && pointB !== null && !audio.paused) {
+      abFrame = requestAnimationFrame(watchSegment);
+    }
+  }
+  
+  function clearAbRepeat() {
+    pointA = null;
+    pointB = null;
+    renderAbRepeat();
+  }
+  
+  // One button, three steps: set A → set B → clear
+  function cycleAbRepeat() {
+    const now = audio.currentTime;
+    
+    if (pointA === null) {
+      pointA = now;
+    } else if (pointB === null) {
+      if (Math.abs(now - pointA) < MIN_SEGMENT) return;
+      [pointA, pointB] = [Math.min(pointA, now), Math.max(pointA, now)];
+      audio.currentTime = pointA;
+      startWatching();
+    } else {
+      clearAbRepeat();
+      return;
+    }
+    renderAbRepeat();
+  }
+  
+  abRepeatBtn?.addEventListener('click', cycleAbRepeat);
+  audio.addEventListener('play', startWatching);
+  audio.addEventListener('loadedmetadata', renderAbRepeat);
+  audio.addEventListener('trackchange', clearAbRepeat);
+  
+  // Playback speed; the element resets playbackRate on every new source,
+  // so defaultPlaybackRate is set as well
+  function setRate(rate) {
+    audio.preservesPitch = true;
+    audio.mozPreservesPitch = true;
+    audio.webkitPreservesPitch = true;
+    audio.defaultPlaybackRate = rate;
+    audio.playbackRate = rate;
+  }
+  
+  if (rateSelect) {
+    rateSelect.value = String(storage.get('playbackRate', 1));
+    if (!rateSelect.value) rateSelect.value = '1';
+    setRate(Number(rateSelect.value));
+    
+    rateSelect.addEventListener('change', () => {
+      setRate(Number(rateSelect.value));
+      storage.set('playbackRate', audio.playbackRate);
+    });
+  }
+  
+  // Sleep timer: fade the music bus out, then pause
+  const SLEEP_FADE = 8;
+  
+  let sleepMode = 'off'; // 'off' | 'minutes' | 'track'
+  let sleepDeadline = 0;
+  let sleepTicker;
+  let fadeTimer;
+  let fading = false;
+  
+  function restoreMusicBus() {
+    if (!audioEngine) return;
+    const gain = audioEngine.buses.music.gain;
+    gain.cancelScheduledValues(audioEngine.context.currentTime);
+    gain.setValueAtTime(1, audioEngine.context.currentTime);
+  }
+  
+  function cancelFade() {
+    clearTimeout(fadeTimer);
+    if (fading) restoreMusicBus();
+    fading = false;
+  }
+  
+  function fadeOutAndPause(duration) {
+    if (fading) return;
+    fading = true;
+    
+    if (audioEngine) {
+      const gain = audioEngine.buses.music.gain;
+      const now = audioEngine.context.currentTime;
+      gain.cancelScheduledValues(now);
+      gain.setValueAtTime(gain.value, now);
+      gain.linearRampToValueAtTime(0, now + duration);
+    }
+    
+    fadeTimer = setTimeout(() => {
+      audio.pause();
+      cancelFade();
+      setSleepTimer('off');
+      logger.info('Sleep timer paused the music');
+    }, duration * 1000);
+  }
+  
+  function updateSleepLabel() {
+    if (!sleepLabel) return;
+    if (sleepMode === 'minutes') {
+      sleepLabel.textContent = formatTime(Math.max(0, (sleepDeadline - Date.now()) / 1000));
+    } else {
+      sleepLabel.textContent = sleepMode === 'track' ? 'po utworze' : '';
+    }
+  }
+  
+  function tickSleepTimer() {
+    updateSleepLabel();
+    if (sleepMode !== 'minutes') return;
+    const left = (sleepDeadline - Date.now()) / 1000;
+    if (audio.paused) {
+      // Nothing left to put to sleep
+      if (left <= 0) setSleepTimer('off');
+      return;
+    }
+    if (left <= SLEEP_FADE) fadeOutAndPause(Math.max(left, 0.1));
+  }
+  
+  function setSleepTimer(value) {
+    cancelFade();
+    clearInterval(sleepTicker);
     
-    // Update volume button icon
-    if (volume === 0) {
-      volumeBtn.textContent = '🔇';
-    } else if (volume < 0.5) {
-      volumeBtn.textContent = '🔉';
+    if (value === 'track') {
+      sleepMode = 'track';
+    } else if (Number(value) > 0) {
+      sleepMode = 'minutes';
+      sleepDeadline = Date.now() + Number(value) * 60 * 1000;
+      sleepTicker = setInterval(tickSleepTimer, 1000);
     } else {
-      volumeBtn.textContent = '🔊';
+      sleepMode = 'off';
     }
     
-    // Add visual feedback
-    if (window.gsap) {
-      gsap.to(volumeSlider, {
-        scale: 1.05,
-        duration: 0.2,
-        ease: 'power2.out',
-        yoyo: true,
-        repeat: 1
-      });
-    }
+    if (sleepSelect) sleepSelect.value = sleepMode === 'off' ? '0' : String(value);
+    sleepSelect?.classList.toggle('active', sleepMode !== 'off');
+    updateSleepLabel();
+  }
+  
+  // "End of track" starts fading so that the pause lands right at the end
+  audio.addEventListener('timeupdate', () => {
+    if (sleepMode !== 'track' || audio.paused || !Number.isFinite(audio.duration)) return;
+    const left = (audio.duration - audio.currentTime) / (audio.playbackRate || 1);
+    if (left <= SLEEP_FADE) fadeOutAndPause(Math.max(left - 0.25, 0.1));
   });
   
-  // Mute/Unmute on volume button click
-  volumeBtn.addEventListener('click', () => {
-    if (audio.volume > 0) {
-      audio.dataset.lastVolume = audio.volume;
-      audio.volume = 0;
-      volumeSlider.value = 0;
-      volumeBtn.textContent = '🔇';
-    } else {
-      const lastVolume = audio.dataset.lastVolume || 0.8;
-      audio.volume = lastVolume;
-      volumeSlider.value = lastVolume * 100;
-      volumeBtn.textContent = '🔊';
+  // Pausing by hand in the middle of a fade keeps the timer but restores the volume
+  audio.addEventListener('pause', () => {
+    if (fading) cancelFade();
+  });
+  
+  sleepSelect?.addEventListener('change', () => setSleepTimer(sleepSelect.value));
+  
+  // Lets the crossfade module hold back the next song when the timer ends with this one
+  window.sleepTimer = {
+    get stopsAfterTrack() { return sleepMode === 'track'; }
+  };
+})();
+
+/* ===== Audio Mute Controls ===== */
+(function audioMuteControls() {
+  const muteAllBtn = document.getElementById('muteAllBtn');
+  const sfxMuteBtn = document.getElementById('sfxMuteBtn');
+  
+  if (!audioEngine) return;
+  
+  function render() {
+    if (muteAllBtn) {
+      muteAllBtn.textContent = audioEngine.muted ? '🔇' : '🔈';
+      muteAllBtn.classList.toggle('active', audioEngine.muted);
+      muteAllBtn.setAttribute('aria-pressed', audioEngine.muted);
+    }
+    if (sfxMuteBtn) {
+      sfxMuteBtn.textContent = audioEngine.sfxMuted ? '🔕' : '🔔';
+      sfxMuteBtn.classList.toggle('active', audioEngine.sfxMuted);
+      sfxMuteBtn.setAttribute('aria-pressed', audioEngine.sfxMuted);
+    }
+  }
+  
+  muteAllBtn?.addEventListener('click', () => audioEngine.setMuted(!audioEngine.muted));
+  sfxMuteBtn?.addEventListener('click', () => audioEngine.setSfxMuted(!audioEngine.sfxMuted));
+  
+  document.addEventListener('audiomutechange', render);
+  
+  document.addEventListener('keydown', (e) => {
+    if (isTypingTarget(e.target)) return;
+    if (e.code === 'KeyM') {
+      e.preventDefault();
+      muteAllBtn?.click();
     }
   });
   
-  // Progress bar click to seek
-  progressBar.addEventListener('click', (e) => {
-    const rect = progressBar.getBoundingClientRect();
-    const clickX = e.clientX - rect.left;
-    const progress = clickX / rect.width;
-    audio.currentTime = progress * audio.duration;
+  render();
+})();
+
+/* ===== Sound Effects and Audio Feedback ===== */
+(function soundEffects() {
+  const audio = document.getElementById('audioPlayer');
+  if (!audioEngine) return;
+  
+  // Sound effect functions, played on the shared engine's SFX bus
+  const playBeep = (frequency, duration, type) => audioEngine.playTone(frequency, duration, type);
+  const playSwoosh = () => audioEngine.playSweep(200, 800, 0.3, 0.05);
+  
+  // Add sound effects to controls
+  const allButtons = $$('.control-btn');
+  allButtons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (btn.id === 'playPauseBtn') {
+        playBeep(600, 0.15, 'square');
+      } else if (btn.id === 'stopBtn') {
+        playBeep(400, 0.2, 'sawtooth');
+      } else if (btn.id === 'loopBtn') {
+        playSwoosh();
+      } else if (btn.id === 'shuffleBtn') {
+        playBeep(1000, 0.1, 'triangle');
+      } else {
+        playBeep(700, 0.1, 'sine');
+      }
+    });
   });
   
-  // Progress bar drag functionality
-  progressBar.addEventListener('mousedown', (e) => {
-    isDragging = true;
-    document.addEventListener('mousemove', handleDrag);
-    document.addEventListener('mouseup', stopDrag);
-    handleDrag(e);
+  // Add sound effects to sliders
+  const allSliders = $$('input[type="range"]');
+  allSliders.forEach(slider => {
+    slider.addEventListener('input', () => {
+      // Play different tones based on slider value
+      const normalizedValue = (slider.value - slider.min) / (slider.max - slider.min);
+      const frequency = 200 + normalizedValue * 600;
+      playBeep(frequency, 0.05, 'sine');
+    });
   });
   
-  function handleDrag(e) {
-    if (!isDragging) return;
-    const rect = progressBar.getBoundingClientRect();
-    const clickX = Math.max(0, Math.min(e.clientX - rect.left, rect.width));
-    const progress = clickX / rect.width;
-    progressFill.style.width = `${progress * 100}%`;
-    progressHandle.style.left = `${progress * 100}%`;
-    currentTimeEl.textContent = formatTime(progress * audio.duration);
+  // Audio level indicator
+  function createAudioLevelIndicator() {
+    const indicator = document.createElement('div');
+    indicator.className = 'audio-level-indicator';
+    indicator.innerHTML = `
+      <div class="level-bar"></div>
+      <div class="level-text">Audio Level</div>
+    `;
+    
+    document.querySelector('.music-controls').appendChild(indicator);
+    
+    // Animate level bar based on audio volume
+    setInterval(() => {
+      const levelBar = indicator.querySelector('.level-bar');
+      const currentVolume = audio.volume;
+      const level = currentVolume * 100;
+      
+      levelBar.style.width = `${level}%`;
+      levelBar.style.background = `linear-gradient(90deg, #ff4d6d ${level}%, rgba(255, 77, 109, 0.2) ${level}%)`;
+      
+      // Add pulse effect when volume is high
+      if (currentVolume > 0.8) {
+        levelBar.style.animation = 'level-pulse 0.5s ease-in-out';
+      } else {
+        levelBar.style.animation = 'none';
+      }
+    }, 100);
   }
   
-  function stopDrag() {
-    if (isDragging) {
-      isDragging = false;
-      const progress = parseFloat(progressFill.style.width) / 100;
-      audio.currentTime = progress * audio.duration;
-      document.removeEventListener('mousemove', handleDrag);
-      document.removeEventListener('mouseup', stopDrag);
+  // Initialize audio level indicator
+  setTimeout(createAudioLevelIndicator, 1000);
+  
+  // Add CSS for audio level indicator
+  const style = document.createElement('style');
+  style.textContent = `
+    .audio-level-indicator {
+      margin-top: 15px;
+      text-align: center;
     }
-  }
+    
+    .level-bar {
+      width: 100%;
+      height: 8px;
+      background: rgba(255, 77, 109, 0.2);
+      border-radius: 4px;
+      overflow: hidden;
+      margin-bottom: 8px;
+      transition: all 0.3s ease;
+    }
+    
+    .level-text {
+      color: var(--muted);
+      font-size: 0.8rem;
+      text-transform: uppercase;
+      letter-spacing: 1px;
+    }
+    
+    @keyframes level-pulse {
+      0%, 100% { opacity: 1; }
+      50% { opacity: 0.7; }
+    }
+  `;
+  document.head.appendChild(style);
   
-  // Keyboard shortcuts
-  document.addEventListener('keydown', (e) => {
-    if (e.target.tagName === 'INPUT') return; // Don't interfere with form inputs
+  // Enhanced vinyl effects
+  audio.addEventListener('timeupdate', () => {
+    if (audio.paused) return;
     
-    switch(e.code) {
-      case 'Space':
-        e.preventDefault();
-        playPauseBtn.click();
-        break;
-      case 'ArrowLeft':
-        e.preventDefault();
-        audio.currentTime = Math.max(0, audio.currentTime - 10);
-        break;
-      case 'ArrowRight':
-        e.preventDefault();
-        audio.currentTime = Math.min(audio.duration, audio.currentTime + 10);
-        break;
-      case 'ArrowUp':
-        e.preventDefault();
-        const newVolumeUp = Math.min(1, audio.volume + 0.1);
-        audio.volume = newVolumeUp;
-        volumeSlider.value = newVolumeUp * 100;
-        break;
-      case 'ArrowDown':
-        e.preventDefault();
-        const newVolumeDown = Math.max(0, audio.volume - 0.1);
-        audio.volume = newVolumeDown;
-        volumeSlider.value = newVolumeDown * 100;
-        break;
+    // Add vinyl scratch effect randomly
+    if (Math.random() < 0.001) { // Very rare
+      audioEngine.playSweep(100, 50, 0.1, 0.02);
     }
   });
+})(); 
+
+/* ===== Interactive Love Game ===== */
+(function loveGame() {
+  const gameContainer = document.getElementById('loveGame');
+  if (!gameContainer) return;
+
+  const gameHearts = gameContainer.querySelector('.game-hearts');
+  const gameScore = gameContainer.querySelector('#gameScore');
+  const gameArea = gameContainer.querySelector('.game-area');
   
-  // Audio ended event
-  audio.addEventListener('ended', () => {
-    isPlaying = false;
-    playPauseBtn.classList.remove('playing');
-    vinylDisc.classList.remove('playing');
-    updateProgress();
+  let score = 0;
+  let timer;
+  let gameStarted = false;
+
+  function createStartButton() {
+    const startButton = document.createElement('button');
+    startButton.textContent = 'Zacznij grę';
+    startButton.className = 'btn primary';
+    startButton.style.marginTop = '20px';
+    gameArea.appendChild(startButton);
+
+    startButton.addEventListener('click', startGame);
+  }
+
+  function startGame() {
+    if (gameStarted) return;
+    gameStarted = true;
+    score = 0;
+    gameScore.textContent = score;
+    gameArea.querySelector('button').remove();
     
-    // Add celebration effect when song ends
-    if (window.confetti) {
-      confetti({
-        particleCount: 100,
-        spread: 70,
-        origin: { y: 0.6 }
+    createGameHearts();
+
+    timer = setTimeout(() => {
+      endGame();
+    }, 30000);
+  }
+
+  function endGame() {
+    gameStarted = false;
+    clearTimeout(timer);
+    gameHearts.innerHTML = `<p>Koniec gry! Twój wynik to: ${score}</p>`;
+    createStartButton();
+  }
+
+  function createGameHearts() {
+    if (!gameStarted) return;
+    gameHearts.innerHTML = '';
+    for (let i = 0; i < 15; i++) {
+      const isGolden = Math.random() < 0.2;
+      const heart = document.createElement('div');
+      heart.className = 'game-heart' + (isGolden ? ' golden' : '');
+      heart.style.animationDelay = `${Math.random() * 2}s`;
+      heart.style.animation = 'heart-float 3s ease-in-out infinite';
+      
+      heart.addEventListener('click', () => {
+        if (!heart.classList.contains('clicked') && gameStarted) {
+          heart.classList.add('clicked');
+          const points = isGolden ? 50 : 10;
+          score += points;
+          gameScore.textContent = score;
+          
+          audioEngine?.playTone(isGolden ? 1200 : 800, 0.1, 'triangle');
+
+          if (window.gsap) {
+            const tl = gsap.timeline();
+            tl.to(heart, {
+              scale: 1.5,
+              opacity: 0,
+              duration: 0.3,
+              ease: 'power2.out',
+              onComplete: () => heart.remove()
+            });
+            tl.to(gameScore, {
+              scale: 1.3,
+              duration: 0.3,
+              ease: 'back.out(2)',
+              yoyo: true,
+              repeat: 1
+            }, "<0.1");
+          } else {
+            heart.remove();
+          }
+
+          if (gameHearts.children.length === 0) {
+            setTimeout(createGameHearts, 500);
+          }
+        }
       });
+      
+      gameHearts.appendChild(heart);
     }
-  });
+  }
   
-  // Add visual feedback for controls
-  [playPauseBtn, stopBtn, volumeBtn].forEach(btn => {
+  createStartButton();
+})();
+
+/* ===== Mood Tracker ===== */
+// Every pick is kept, so the love weather can follow how the moods change
+(function moodTracker() {
+  const tracker = document.getElementById('moodTracker');
+  const moodBtns = $$('.mood-btn');
+  
+  const HISTORY_DAYS = 60;
+  const DAY = 24 * 60 * 60 * 1000;
+  let history = storage.get('mood-history', []);
+  
+  function record(mood) {
+    const now = Date.now();
+    history = [...history.filter(entry => now - entry.at < HISTORY_DAYS * DAY), { mood, at: now }];
+    storage.set('mood-history', history);
+    tracker?.dispatchEvent(new CustomEvent('moodchange', { detail: { mood, history } }));
+  }
+  
+  function select(btn) {
+    moodBtns.forEach(b => {
+      b.classList.toggle('selected', b === btn);
+      b.setAttribute('aria-pressed', String(b === btn));
+    });
+  }
+  
+  moodBtns.forEach(btn => {
     btn.addEventListener('click', () => {
+      // Select current mood and remember it
+      select(btn);
+      record(btn.dataset.mood);
+      
+      // Add celebration effect
+      if (window.confetti) {
+        const mood = btn.dataset.mood;
+        let colors = ['#ff4d6d', '#ffd166'];
+        
+        if (mood === 'love') colors = ['#ff6b9d', '#ff8fa3'];
+        if (mood === 'excited') colors = ['#ffd166', '#ffb347'];
+        if (mood === 'peaceful') colors = ['#87ceeb', '#98fb98'];
+        
+        confetti({
+          particleCount: 50,
+          spread: 70,
+          colors: colors,
+          origin: { y: 0.6 }
+        });
+      }
+      
+      // Add mood-specific animation
       if (window.gsap) {
         gsap.to(btn, {
-          scale: 0.9,
-          duration: 0.1,
-          ease: 'power2.out',
-          yoyo: true,
-          repeat: 1
+          rotation: 360,
+          duration: 0.8,
+          ease: 'power2.out'
         });
       }
     });
   });
   
-  // Initialize volume
-  audio.volume = 0.8;
-  volumeSlider.value = 80;
+  // Today's mood stays selected after a reload
+  const last = history[history.length - 1];
+  if (last && new Date(last.at).toDateString() === new Date().toDateString()) {
+    select(moodBtns.find(btn => btn.dataset.mood === last.mood));
+  }
+  
+  window.moodTracker = {
+    get history() {
+      return history;
+    }
+  };
 })();
 
-/* ===== Floating Hearts Background ===== */
-(function floatingHearts() {
-  const canvas = document.getElementById('heartsCanvas');
-  if (!canvas) return;
-  
+/* ===== Love Weather ===== */
+(function loveWeather() {
+  const section = document.getElementById('love-weather');
+  const widget = document.querySelector('.weather-widget');
+  const canvas = document.getElementById('weatherCanvas');
+  if (!section || !widget || !canvas) return;
+
+  const iconEl = document.getElementById('weatherIcon');
+  const tempEl = document.getElementById('loveTemp');
+  const conditionEl = document.getElementById('loveCondition');
+  const forecastEl = widget.querySelector('.weather-forecast');
+  const explanationEl = document.getElementById('forecastExplanation');
+  const changeBtn = document.getElementById('changeWeather');
+  const stormBtn = document.getElementById('loveStorm');
+  const rainbowBtn = document.getElementById('rainbowMode');
   const ctx = canvas.getContext('2d');
-  let width, height;
-  const hearts = [];
-  const maxHearts = 120;
-  const sparkles = [];
-  const maxSparkles = 40;
-  
-  function resize() {
-    width = canvas.clientWidth = window.innerWidth;
-    height = canvas.clientHeight = window.innerHeight;
-    canvas.width = width;
-    canvas.height = height;
+
+  const STORM_DURATION = 8000;
+  const FORECAST_DAYS = 3;
+  const TREND_DAYS = 14;
+  // Holt's linear trend: how eagerly the level and the trend follow each new day
+  const LEVEL_SMOOTHING = 0.5;
+  const TREND_SMOOTHING = 0.3;
+  // Two moods closer than this make a mixed sky
+  const MIXED_MARGIN = 0.1;
+  const DAY = 24 * 60 * 60 * 1000;
+  const weekdayFormat = new Intl.DateTimeFormat('pl', { weekday: 'long' });
+
+  // What each condition looks like, how warm it feels and where the weather may drift next
+  const CONDITIONS = {
+    sunny: { icon: '☀️', label: 'Słonecznie z miłością', temp: 26, effect: 'sunbeams', next: ['hearts', 'breeze', 'rainbow'] },
+    hearts: { icon: '💕', label: 'Przelotny deszcz serduszek', temp: 25, effect: 'heartRain', next: ['sunny', 'breeze', 'storm'] },
+    breeze: { icon: '🌸', label: 'Wietrzyk z płatkami róż', temp: 21, effect: 'petals', next: ['sunny', 'hearts', 'starry'] },
+    starry: { icon: '✨', label: 'Gwiaździsta noc czułości', temp: 18, effect: 'stars', next: ['breeze', 'hearts'] },
+    storm: { icon: '⛈️', label: 'Burza namiętności', temp: 33, effect: 'storm', next: ['rainbow', 'hearts'] },
+    rainbow: { icon: '🌈', label: 'Tęcza uczuć', temp: 27, effect: 'rainbow', next: ['sunny', 'hearts', 'starry'] }
+  };
+
+  // How each mood from the tracker colours the sky
+  const MOODS = {
+    happy: { icon: '😊', label: 'radość', warmth: 26, condition: 'sunny' },
+    love: { icon: '🥰', label: 'zakochanie', warmth: 28, condition: 'hearts' },
+    excited: { icon: '🤩', label: 'ekscytacja', warmth: 33, condition: 'storm' },
+    peaceful: { icon: '😌', label: 'spokój', warmth: 18, condition: 'starry' }
+  };
+
+  // Events the buttons send, each returning the next condition
+  const TRANSITIONS = {
+    change: (current) => CONDITIONS[current].next[Math.floor(Math.random() * CONDITIONS[current].next.length)],
+    storm: () => 'storm',
+    rainbow: (current) => (current === 'rainbow' ? 'sunny' : 'rainbow'),
+    // Every storm clears into a rainbow
+    pass: (current) => (current === 'storm' ? 'rainbow' : current)
+  };
+
+  let state = { condition: 'sunny', temp: CONDITIONS.sunny.temp };
+  let prediction = null;
+  let explainedOffset = null;
+  let stormTimer = null;
+
+  // --- Trend model ---
+
+  function startOfDay(time) {
+    const date = new Date(time);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
   }
-  
-  function createHeart() {
-    return {
-      x: Math.random() * width,
-      y: height + 20,
-      size: 8 + Math.random() * 12,
-      speedY: 0.3 + Math.random() * 0.8,
-      driftX: (Math.random() - 0.5) * 0.4,
-      rotate: Math.random() * Math.PI * 2,
-      opacity: 0.4 + Math.random() * 0.6,
-      pulse: Math.random() * 0.1,
-      color: Math.random() > 0.7 ? '#ffd166' : '#ff4d6d',
-      type: Math.random() > 0.8 ? 'filled' : 'gradient'
-    };
+
+  // Rounded, so a daylight saving change doesn't leave a day 23 hours long
+  function daysBetween(from, to) {
+    return Math.round((to - from) / DAY);
   }
-  
-  function createSparkle() {
+
+  // Share of every mood on each recent day with at least one pick, oldest first
+  function dailyShares(history, today) {
+    const days = new Map();
+    history.forEach(({ mood, at }) => {
+      if (!MOODS[mood]) return;
+      const date = startOfDay(at);
+      if (daysBetween(date, today) >= TREND_DAYS) return;
+      const day = days.get(date.getTime()) || { date, counts: {}, total: 0 };
+      day.counts[mood] = (day.counts[mood] || 0) + 1;
+      day.total++;
+      days.set(date.getTime(), day);
+    });
+    return [...days.values()]
+      .sort((a, b) => a.date - b.date)
+      .map(({ date, counts, total }) => ({
+        date,
+        total,
+        shares: Object.fromEntries(Object.keys(MOODS).map(mood => [mood, (counts[mood] || 0) / total]))
+      }));
+  }
+
+  // A smoothed level for each mood plus how fast it is rising or falling per day.
+  // Days without picks are skipped over: the trend is carried across the gap, not squeezed into one step.
+  function trendModel(days) {
+    return Object.fromEntries(Object.keys(MOODS).map(mood => {
+      let level = days[0].shares[mood];
+      let trend = 0;
+      days.slice(1).forEach((day, i) => {
+        const gap = daysBetween(days[i].date, day.date);
+        const previous = level;
+        level = LEVEL_SMOOTHING * day.shares[mood] + (1 - LEVEL_SMOOTHING) * (level + trend * gap);
+        trend = TREND_SMOOTHING * ((level - previous) / gap) + (1 - TREND_SMOOTHING) * trend;
+      });
+      return [mood, { level, trend }];
+    }));
+  }
+
+  function projectShares(model, ahead) {
+    const projected = Object.entries(model)
+      .map(([mood, { level, trend }]) => [mood, Math.min(1, Math.max(0, level + trend * ahead))]);
+    const sum = projected.reduce((total, [, share]) => total + share, 0);
+    return Object.fromEntries(projected.map(([mood, share]) => [mood, sum ? share / sum : 1 / projected.length]));
+  }
+
+  // The strongest mood sets the weather; two moods neck and neck make something in between
+  function conditionFor(shares) {
+    const [first, second] = Object.entries(shares).sort((a, b) => b[1] - a[1]);
+    if (first[1] - second[1] < MIXED_MARGIN) {
+      return first[0] === 'peaceful' || second[0] === 'peaceful' ? 'breeze' : 'rainbow';
+    }
+    return MOODS[first[0]].condition;
+  }
+
+  // null until the first mood is picked
+  function predict(history) {
+    const today = startOfDay(Date.now());
+    const days = dailyShares(history, today);
+    if (!days.length) return null;
+
+    const model = trendModel(days);
+    const lastDay = days[days.length - 1].date;
     return {
-      x: Math.random() * width,
-      y: Math.random() * height,
-      size: 2 + Math.random() * 4,
-      speed: 0.5 + Math.random() * 1,
-      opacity: 0.3 + Math.random() * 0.7,
-      life: 1,
-      color: '#ffd166'
+      model,
+      picks: days.reduce((total, day) => total + day.total, 0),
+      forecast: Array.from({ length: FORECAST_DAYS }, (_, offset) => {
+        const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+        // A trend from a week-old pick says little about next week, so it is only followed for a few days
+        const shares = projectShares(model, Math.min(daysBetween(lastDay, date), FORECAST_DAYS));
+        return {
+          date,
+          shares,
+          condition: conditionFor(shares),
+          temp: Math.round(Object.entries(shares).reduce((sum, [mood, share]) => sum + share * MOODS[mood].warmth, 0))
+        };
+      })
     };
   }
-  
-  function drawHeart(h) {
-    ctx.save();
-    ctx.translate(h.x, h.y);
-    ctx.rotate(h.rotate);
-    ctx.globalAlpha = h.opacity;
-    
-    // Pulsing effect
-    const pulseSize = h.size + Math.sin(Date.now() * 0.005 + h.pulse) * 3;
-    
-    // Different heart styles
-    if (h.type === 'filled') {
-      ctx.fillStyle = h.color;
-    } else {
-      // Create gradient
-      const grad = ctx.createRadialGradient(-pulseSize * 0.1, -pulseSize * 0.1, 0, 0, 0, pulseSize);
-      grad.addColorStop(0, '#ffffff');
-      grad.addColorStop(0.4, '#ff9eb1');
-      grad.addColorStop(1, h.color);
-      ctx.fillStyle = grad;
+
+  // --- State machine ---
+
+  // A storm from the buttons blows over; one the moods brought stays until they change
+  function send(event) {
+    const next = TRANSITIONS[event](state.condition);
+    setCondition(next, CONDITIONS[next].temp);
+    if (next === 'storm') stormTimer = setTimeout(() => send('pass'), STORM_DURATION);
+  }
+
+  function setCondition(condition, temp) {
+    state = { condition, temp };
+    clearTimeout(stormTimer);
+    render();
+    startEffect(CONDITIONS[condition].effect);
+  }
+
+  // Today's weather and the forecast follow the mood history; the buttons only change the sky for now
+  function update() {
+    prediction = predict(window.moodTracker?.history || []);
+    const today = prediction?.forecast[0];
+    renderForecast();
+    explain(explainedOffset);
+    setCondition(today?.condition || 'sunny', today?.temp ?? CONDITIONS.sunny.temp);
+  }
+
+  // --- Widget ---
+
+  function dayLabel(offset, date) {
+    if (offset === 0) return 'Dziś';
+    if (offset === 1) return 'Jutro';
+    if (offset === 2) return 'Pojutrze';
+    return weekdayFormat.format(date);
+  }
+
+  function renderForecast() {
+    const today = startOfDay(Date.now());
+    const days = prediction?.forecast || Array.from({ length: FORECAST_DAYS }, (_, offset) => ({
+      date: new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset)
+    }));
+
+    forecastEl.replaceChildren(...days.map(({ date, condition, temp }, offset) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'forecast-item';
+      item.title = 'Why this weather?';
+      item.setAttribute('aria-pressed', String(offset === explainedOffset));
+      if (condition) item.dataset.condition = condition;
+
+      const day = document.createElement('span');
+      day.className = 'day';
+      day.textContent = dayLabel(offset, date);
+      const icon = document.createElement('span');
+      icon.className = 'icon';
+      icon.textContent = condition ? CONDITIONS[condition].icon : '❔';
+      icon.setAttribute('role', 'img');
+      icon.setAttribute('aria-label', condition ? CONDITIONS[condition].label : 'Brak prognozy');
+      const degrees = document.createElement('span');
+      degrees.className = 'temp';
+      degrees.textContent = condition ? `${temp}°C` : '–';
+
+      item.append(day, icon, degrees);
+      item.addEventListener('click', () => {
+        explain(explainedOffset === offset ? null : offset);
+      });
+      return item;
+    }));
+  }
+
+  function trendArrow(trend) {
+    if (trend > 0.02) return '↑';
+    if (trend < -0.02) return '↓';
+    return '→';
+  }
+
+  function explain(offset) {
+    explainedOffset = offset;
+    $$('.forecast-item', forecastEl).forEach((item, i) => item.setAttribute('aria-pressed', String(i === offset)));
+    if (!explanationEl) return;
+
+    if (offset === null) {
+      explanationEl.textContent = '';
+      return;
     }
-    
-    // Draw heart shape
+    if (!prediction) {
+      explanationEl.textContent = 'Nie ma jeszcze prognozy – wybierz nastrój w karcie „Twój nastrój”, a pogoda zacznie za nim podążać.';
+      return;
+    }
+
+    const { date, shares, condition, temp } = prediction.forecast[offset];
+    const moods = Object.entries(shares)
+      .filter(([, share]) => share >= 0.01)
+      .sort((a, b) => b[1] - a[1])
+      .map(([mood, share]) => `${MOODS[mood].icon} ${MOODS[mood].label} ${Math.round(share * 100)}% ${trendArrow(prediction.model[mood].trend)}`);
+    explanationEl.textContent = `${dayLabel(offset, date)}: ${CONDITIONS[condition].label.toLowerCase()}, ${temp}°C. ` +
+      `Nastroje: ${moods.join(' · ')}. Wybrane nastroje z ostatnich ${TREND_DAYS} dni: ${prediction.picks}.`;
+  }
+
+  function render() {
+    const { icon, label } = CONDITIONS[state.condition];
+    iconEl.textContent = icon;
+    tempEl.textContent = `${state.temp}°C`;
+    conditionEl.textContent = label;
+    widget.dataset.condition = state.condition;
+    stormBtn.setAttribute('aria-pressed', String(state.condition === 'storm'));
+    rainbowBtn.setAttribute('aria-pressed', String(state.condition === 'rainbow'));
+
+    if (window.gsap && !prefersReducedMotion) {
+      gsap.fromTo('.weather-info', { opacity: 0, x: 12 }, { opacity: 1, x: 0, duration: 0.4, ease: 'power2.out' });
+    }
+  }
+
+  // --- Full-page effects ---
+
+  let width = 0;
+  let height = 0;
+  let effect = null;
+  let particles = [];
+  let frame = null;
+  let flash = 0;
+  let bolt = null;
+  let visible = false;
+
+  // Resizing clears the canvas, so the scene is drawn again
+  function resize() {
+    width = canvas.width = window.innerWidth;
+    height = canvas.height = window.innerHeight;
+    play();
+  }
+
+  function drawHeart(x, y, size, color) {
+    ctx.fillStyle = color;
     ctx.beginPath();
-    ctx.moveTo(0, pulseSize / 3);
-    ctx.bezierCurveTo(pulseSize, -pulseSize / 2, pulseSize * 1.3, pulseSize * 0.9, 0, pulseSize * 1.4);
-    ctx.bezierCurveTo(-pulseSize * 1.3, pulseSize * 0.9, -pulseSize, -pulseSize / 2, 0, pulseSize / 3);
-    ctx.closePath();
-    ctx.fill();
-    
-    // Add glow effect
-    ctx.shadowColor = h.color;
-    ctx.shadowBlur = 10;
+    ctx.moveTo(x, y + size / 3);
+    ctx.bezierCurveTo(x + size, y - size / 2, x + size * 1.3, y + size * 0.9, x, y + size * 1.4);
+    ctx.bezierCurveTo(x - size * 1.3, y + size * 0.9, x - size, y - size / 2, x, y + size / 3);
     ctx.fill();
-    ctx.shadowBlur = 0;
-    
-    ctx.restore();
   }
-  
-  function drawSparkle(s) {
-    ctx.save();
-    ctx.globalAlpha = s.opacity;
-    ctx.fillStyle = s.color;
-    
-    // Draw star shape
-    ctx.beginPath();
-    for (let i = 0; i < 5; i++) {
-      const angle = (i * 2 * Math.PI) / 5 - Math.PI / 2;
-      const x = Math.cos(angle) * s.size;
-      const y = Math.sin(angle) * s.size;
-      if (i === 0) ctx.moveTo(x, y);
-      else ctx.lineTo(x, y);
+
+  // A jagged line from the top of the screen to somewhere in its lower half
+  function createBolt() {
+    const points = [{ x: width * (0.2 + Math.random() * 0.6), y: 0 }];
+    const bottom = height * (0.5 + Math.random() * 0.4);
+    while (points[points.length - 1].y < bottom) {
+      const last = points[points.length - 1];
+      points.push({ x: last.x + (Math.random() - 0.5) * 80, y: last.y + 20 + Math.random() * 40 });
+    }
+    return points;
+  }
+
+  // Each effect: particle count, spawn (initial = anywhere on screen), update (false = respawn),
+  // draw, and optional layers under (background) and over (foreground) the particles
+  const EFFECTS = {
+    sunbeams: {
+      count: 0,
+      background(time) {
+        const length = Math.hypot(width, height);
+        ctx.save();
+        ctx.translate(width * 0.85, -40);
+        ctx.rotate(Math.sin(time / 4000) * 0.08);
+        ctx.fillStyle = '#ffd166';
+        for (let i = 0; i < 7; i++) {
+          const angle = Math.PI * 0.55 + i * 0.12;
+          ctx.globalAlpha = 0.05 + 0.03 * Math.sin(time / 900 + i);
+          ctx.beginPath();
+          ctx.moveTo(0, 0);
+          ctx.lineTo(Math.cos(angle - 0.03) * length, Math.sin(angle - 0.03) * length);
+          ctx.lineTo(Math.cos(angle + 0.03) * length, Math.sin(angle + 0.03) * length);
+          ctx.fill();
+        }
+        ctx.restore();
+      }
+    },
+    heartRain: {
+      count: 60,
+      spawn: (initial) => ({
+        x: Math.random() * width,
+        y: initial ? Math.random() * height : -20,
+        size: 5 + Math.random() * 8,
+        speed: 1.5 + Math.random() * 2.5,
+        sway: Math.random() * Math.PI * 2,
+        color: Math.random() > 0.75 ? '#ffd166' : '#ff4d6d'
+      }),
+      update(p) {
+        p.y += p.speed;
+        p.x += Math.sin(p.y / 40 + p.sway) * 0.6;
+        return p.y < height + 20;
+      },
+      draw(p) {
+        ctx.globalAlpha = 0.7;
+        drawHeart(p.x, p.y, p.size, p.color);
+      }
+    },
+    petals: {
+      count: 40,
+      spawn: (initial) => ({
+        x: initial ? Math.random() * width : -20,
+        y: Math.random() * height * (initial ? 1 : 0.7),
+        vx: 1 + Math.random() * 1.5,
+        vy: 0.3 + Math.random() * 0.7,
+        size: 4 + Math.random() * 5,
+        rotate: Math.random() * Math.PI,
+        spin: (Math.random() - 0.5) * 0.06
+      }),
+      update(p) {
+        p.x += p.vx;
+        p.y += p.vy + Math.sin(p.x / 60) * 0.4;
+        p.rotate += p.spin;
+        return p.x < width + 20 && p.y < height + 20;
+      },
+      draw(p) {
+        ctx.globalAlpha = 0.75;
+        ctx.fillStyle = '#ff9eb1';
+        ctx.beginPath();
+        ctx.ellipse(p.x, p.y, p.size, p.size / 2, p.rotate, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    },
+    stars: {
+      count: 80,
+      spawn: () => ({
+        x: Math.random() * width,
+        y: Math.random() * height,
+        size: 0.5 + Math.random() * 1.5,
+        phase: Math.random() * Math.PI * 2,
+        speed: 0.02 + Math.random() * 0.04
+      }),
+      update(p) {
+        p.phase += p.speed;
+        return true;
+      },
+      draw(p) {
+        ctx.globalAlpha = 0.3 + 0.7 * Math.abs(Math.sin(p.phase));
+        ctx.fillStyle = '#fff6d6';
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+        ctx.fill();
+      },
+      background() {
+        ctx.globalAlpha = 0.25;
+        ctx.fillStyle = '#0b0630';
+        ctx.fillRect(0, 0, width, height);
+      }
+    },
+    storm: {
+      count: 120,
+      spawn: (initial) => ({
+        x: Math.random() * (width + 100),
+        y: initial ? Math.random() * height : -30,
+        length: 10 + Math.random() * 15,
+        speed: 10 + Math.random() * 8
+      }),
+      update(p) {
+        p.y += p.speed;
+        p.x -= p.speed * 0.25;
+        return p.y < height + 30;
+      },
+      draw(p) {
+        ctx.globalAlpha = 0.4;
+        ctx.strokeStyle = '#ffb3c6';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(p.x, p.y);
+        ctx.lineTo(p.x - p.length * 0.25, p.y + p.length);
+        ctx.stroke();
+      },
+      background() {
+        ctx.globalAlpha = 0.35;
+        ctx.fillStyle = '#120818';
+        ctx.fillRect(0, 0, width, height);
+      },
+      foreground() {
+        if (flash <= 0 && Math.random() < 0.008) {
+          flash = 1;
+          bolt = createBolt();
+        }
+        if (flash <= 0) return;
+        ctx.globalAlpha = flash * 0.45;
+        ctx.fillStyle = '#fff0f5';
+        ctx.fillRect(0, 0, width, height);
+        if (flash > 0.5) {
+          ctx.globalAlpha = flash;
+          ctx.strokeStyle = '#ffffff';
+          ctx.lineWidth = 3;
+          ctx.shadowColor = '#ff8fa3';
+          ctx.shadowBlur = 20;
+          ctx.beginPath();
+          bolt.forEach(({ x, y }, i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+          ctx.stroke();
+          ctx.shadowBlur = 0;
+        }
+        flash -= 0.06;
+      }
+    },
+    rainbow: {
+      count: 0,
+      // A band of colour sweeping across the page every few seconds
+      background(time) {
+        const offset = ((time / 6000) % 1) * width * 3 - width;
+        const gradient = ctx.createLinearGradient(offset, 0, offset + width, height * 0.4);
+        ['#ff4d6d', '#ffb347', '#ffd166', '#98fb98', '#87ceeb', '#b388ff'].forEach((color, i, colors) => {
+          gradient.addColorStop(i / (colors.length - 1), color);
+        });
+        ctx.globalAlpha = 0.18;
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+      }
     }
-    ctx.closePath();
-    ctx.fill();
-    
-    ctx.restore();
+  };
+
+  function tick(time) {
+    ctx.clearRect(0, 0, width, height);
+    effect.background?.(time);
+    if (effect.count) {
+      particles = particles.map(p => (effect.update(p) ? p : effect.spawn(false)));
+      particles.forEach(effect.draw);
+    }
+    effect.foreground?.(time);
+    ctx.globalAlpha = 1;
+    // Scenes without particles or lightning are drawn once and left standing
+    frame = effect.count || effect.foreground ? requestAnimationFrame(tick) : null;
+  }
+
+  // The scene only plays while the weather section is on screen
+  function play() {
+    cancelAnimationFrame(frame);
+    frame = null;
+    ctx.clearRect(0, 0, width, height);
+    if (effect && visible) frame = requestAnimationFrame(tick);
   }
+
+  function startEffect(name) {
+    // Lightning and sweeping colours are exactly what reduced motion asks to avoid
+    effect = prefersReducedMotion ? null : EFFECTS[name];
+    particles = effect ? Array.from({ length: effect.count }, () => effect.spawn(true)) : [];
+    flash = 0;
+    play();
+  }
+
+  changeBtn.addEventListener('click', () => send('change'));
+  stormBtn.addEventListener('click', () => send('storm'));
+  rainbowBtn.addEventListener('click', () => send('rainbow'));
+
+  document.getElementById('moodTracker')?.addEventListener('moodchange', update);
+
+  new IntersectionObserver(([entry]) => {
+    visible = entry.isIntersecting;
+    play();
+  }).observe(section);
+
+  resize();
+  window.addEventListener('resize', resize);
+  update();
+})();
+
+/* ===== Message Box ===== */
+(function messageBox() {
+  const sendBtn = document.getElementById('sendMessage');
+  const messageInput = document.getElementById('loveMessage');
   
-  function update() {
-    if (prefersReducedMotion) return;
-    
-    // Add new hearts
-    if (hearts.length < maxHearts && Math.random() < 0.8) {
-      hearts.push(createHeart());
-    }
-    
-    // Add new sparkles
-    if (sparkles.length < maxSparkles && Math.random() < 0.4) {
-      sparkles.push(createSparkle());
-    }
-    
-    // Update existing hearts
-    for (let i = hearts.length - 1; i >= 0; i--) {
-      const h = hearts[i];
-      h.y -= h.speedY;
-      h.x += h.driftX;
-      h.rotate += 0.008;
+  sendBtn.addEventListener('click', () => {
+    const message = messageInput.value.trim();
+    if (message) {
+      // Add sending animation
+      if (window.gsap) {
+        gsap.to(sendBtn, {
+          scale: 0.9,
+          duration: 0.2,
+          ease: 'power2.out',
+          yoyo: true,
+          repeat: 1
+        });
+      }
       
-      // Remove hearts that are off screen
-      if (h.y < -30 || h.x < -30 || h.x > width + 30) {
-        hearts.splice(i, 1);
+      // Show success message
+      const successMsg = document.createElement('div');
+      successMsg.className = 'success-message';
+      successMsg.textContent = '💕 Wiadomość wysłana z miłością!';
+      successMsg.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        background: linear-gradient(135deg, #ff4d6d, #ffd166);
+        color: white;
+        padding: 15px 20px;
+        border-radius: 25px;
+        box-shadow: 0 10px 30px rgba(255, 77, 109, 0.4);
+        z-index: 10000;
+        animation: slideIn 0.5s ease-out;
+      `;
+      
+      document.body.appendChild(successMsg);
+      
+      // Add confetti
+      if (window.confetti) {
+        confetti({
+          particleCount: 100,
+          spread: 90,
+          origin: { y: 0.1 }
+        });
       }
+      
+      // Remove message after 3 seconds
+      setTimeout(() => {
+        successMsg.style.animation = 'slideOut 0.5s ease-in';
+        setTimeout(() => successMsg.remove(), 500);
+      }, 3000);
+      
+      // Clear input
+      messageInput.value = '';
     }
-    
-    // Update sparkles
-    for (let i = sparkles.length - 1; i >= 0; i--) {
-      const s = sparkles[i];
-      s.y -= s.speed;
-      s.life -= 0.01;
-      if (s.life <= 0 || s.y < -10) {
-        sparkles.splice(i, 1);
-      }
+  });
+  
+  // Add slide animations CSS
+  const style = document.createElement('style');
+  style.textContent = `
+    @keyframes slideIn {
+      from { transform: translateX(100%); opacity: 0; }
+      to { transform: translateX(0); opacity: 1; }
+    }
+    @keyframes slideOut {
+      from { transform: translateX(0); opacity: 1; }
+      to { transform: translateX(100%); opacity: 0; }
     }
+  `;
+  document.head.appendChild(style);
+})();
+
+/* ===== 3D Cube Gallery ===== */
+(function cubeGallery() {
+  const cube = document.querySelector('.cube');
+  const rotateXBtn = document.getElementById('rotateX');
+  const rotateYBtn = document.getElementById('rotateY');
+  const rotateZBtn = document.getElementById('rotateZ');
+  const autoRotateBtn = document.getElementById('autoRotate');
+  
+  let autoRotate = false;
+  let rotationX = 0;
+  let rotationY = 0;
+  let rotationZ = 0;
+  
+  function updateCubeRotation() {
+    cube.style.transform = `rotateX(${rotationX}deg) rotateY(${rotationY}deg) rotateZ(${rotationZ}deg)`;
   }
   
-  function render() {
-    ctx.clearRect(0, 0, width, height);
+  rotateXBtn?.addEventListener('click', () => {
+    rotationX += 90;
+    updateCubeRotation();
     
-    // Draw sparkles first (background)
-    for (const s of sparkles) {
-      drawSparkle(s);
+    // Add button animation
+    if (window.gsap) {
+      gsap.to(rotateXBtn, {
+        scale: 1.1,
+        duration: 0.3,
+        ease: 'power2.out',
+        yoyo: true,
+        repeat: 1
+      });
     }
+  });
+  
+  rotateYBtn?.addEventListener('click', () => {
+    rotationY += 90;
+    updateCubeRotation();
     
-    // Draw all hearts
-    for (const h of hearts) {
-      drawHeart(h);
+    if (window.gsap) {
+      gsap.to(rotateYBtn, {
+        scale: 1.1,
+        duration: 0.3,
+        ease: 'power2.out',
+        yoyo: true,
+        repeat: 1
+      });
     }
-  }
-  
-  function animate() {
-    update();
-    render();
-    requestAnimationFrame(animate);
-  }
+  });
   
-  // Initialize
-  resize();
-  window.addEventListener('resize', resize);
+  rotateZBtn?.addEventListener('click', () => {
+    rotationZ += 90;
+    updateCubeRotation();
+    
+    if (window.gsap) {
+      gsap.to(rotateZBtn, {
+        scale: 1.1,
+        duration: 0.3,
+        ease: 'power2.out',
+        yoyo: true,
+        repeat: 1
+      });
+    }
+  });
   
-  // Start animation
-  animate();
+  autoRotateBtn?.addEventListener('click', () => {
+    autoRotate = !autoRotate;
+    autoRotateBtn.classList.toggle('active');
+    
+    if (autoRotate) {
+      autoRotateBtn.textContent = '⏸️ Stop';
+      autoRotateBtn.style.background = 'linear-gradient(135deg, #ff6b9d, #ff8fa3)';
+    } else {
+      autoRotateBtn.textContent = 'Auto-rotacja';
+      autoRotateBtn.style.background = '';
+    }
+  });
   
-  // Add some initial hearts
-  for (let i = 0; i < 30; i++) {
-    hearts.push(createHeart());
+  // Auto-rotation loop
+  function autoRotateLoop() {
+    if (autoRotate) {
+      rotationY += 1;
+      updateCubeRotation();
+    }
+    requestAnimationFrame(autoRotateLoop);
   }
+  autoRotateLoop();
   
-  // Add some initial sparkles
-  for (let i = 0; i < 15; i++) {
-    sparkles.push(createSparkle());
-  }
+  // Add cube face click effects
+  const faces = $$('.face');
+  faces.forEach(face => {
+    face.addEventListener('click', () => {
+      if (window.gsap) {
+        gsap.to(face, {
+          scale: 1.2,
+          duration: 0.3,
+          ease: 'back.out(2)',
+          yoyo: true,
+          repeat: 1
+        });
+      }
+      
+      // Add particle burst
+      createParticleBurst(
+        face.offsetLeft + face.offsetWidth / 2,
+        face.offsetTop + face.offsetHeight / 2,
+        '#ffd166'
+      );
+    });
+  });
 })();
 
-/* ===== Advanced Audio Visualizer ===== */
-(function audioVisualizer() {
-  const canvas = document.getElementById('visualizerCanvas');
+/* ===== Particle World ===== */
+(function particleWorld() {
+  const canvas = document.getElementById('particleCanvas');
   if (!canvas) return;
   
   const ctx = canvas.getContext('2d');
-  const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-  const analyser = audioContext.createAnalyser();
-  const source = audioContext.createMediaElementSource(audio);
-  
-  // Connect audio nodes
-  source.connect(analyser);
-  analyser.connect(audioContext.destination);
-  
-  // Configure analyser
-  analyser.fftSize = 256;
-  const bufferLength = analyser.frequencyBinCount;
-  const dataArray = new Uint8Array(bufferLength);
+  const particles = [];
+  let animationId;
   
-  // Canvas setup
-  const resizeCanvas = () => {
+  // Resize canvas
+  function resizeCanvas() {
     canvas.width = canvas.offsetWidth * 2;
     canvas.height = canvas.offsetHeight * 2;
     ctx.scale(2, 2);
-  };
+  }
   
   resizeCanvas();
   window.addEventListener('resize', resizeCanvas);
   
-  // Create audio filters for equalizer
-  const bassFilter = audioContext.createBiquadFilter();
-  const trebleFilter = audioContext.createBiquadFilter();
-  
-  bassFilter.type = 'lowshelf';
-  bassFilter.frequency.value = 200;
-  
-  trebleFilter.type = 'highshelf';
-  trebleFilter.frequency.value = 3000;
-  
-  // Connect filters
-  source.connect(bassFilter);
-  bassFilter.connect(trebleFilter);
-  trebleFilter.connect(analyser);
-  
-  // Equalizer controls
-  const bassSlider = document.getElementById('bassSlider');
-  const trebleSlider = document.getElementById('trebleSlider');
-  
-  if (bassSlider) {
-    bassSlider.addEventListener('input', (e) => {
-      bassFilter.gain.value = parseInt(e.target.value);
-      // Visual feedback
-      if (window.gsap) {
-        gsap.to(bassSlider, {
-          scale: 1.1,
-          duration: 0.2,
-          ease: 'power2.out',
-          yoyo: true,
-          repeat: 1
-        });
-      }
-    });
-  }
-  
-  if (trebleSlider) {
-    trebleSlider.addEventListener('input', (e) => {
-      trebleFilter.gain.value = parseInt(e.target.value);
-      // Visual feedback
-      if (window.gsap) {
-        gsap.to(trebleSlider, {
-          scale: 1.1,
-          duration: 0.2,
-          ease: 'power2.out',
-          yoyo: true,
-          repeat: 1
-        });
-      }
-    });
+  class Particle {
+    constructor(x, y) {
+      this.x = x;
+      this.y = y;
+      this.vx = (Math.random() - 0.5) * 4;
+      this.vy = (Math.random() - 0.5) * 4;
+      this.size = Math.random() * 8 + 4;
+      this.color = `hsl(${Math.random() * 60 + 330}, 70%, 60%)`;
+      this.life = 1;
+      this.decay = Math.random() * 0.02 + 0.01;
+    }
+    
+    update() {
+      this.x += this.vx;
+      this.y += this.vy;
+      this.vy += 0.1; // gravity
+      this.life -= this.decay;
+      
+      // Bounce off walls
+      if (this.x < 0 || this.x > canvas.width / 2) this.vx *= -0.8;
+      if (this.y > canvas.height / 2) this.vy *= -0.8;
+    }
+    
+    draw() {
+      ctx.save();
+      ctx.globalAlpha = this.life;
+      ctx.fillStyle = this.color;
+      ctx.beginPath();
+      ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    }
   }
   
-  // Visualization function
-  function drawVisualizer() {
-    if (!audio.paused) {
-      analyser.getByteFrequencyData(dataArray);
-      
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-      
-      const barWidth = (canvas.width / 2) / bufferLength;
-      let barHeight;
-      let x = 0;
+  function animate() {
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    
+    // Update and draw particles
+    for (let i = particles.length - 1; i >= 0; i--) {
+      const particle = particles[i];
+      particle.update();
+      particle.draw();
       
-      // Draw frequency bars
-      for (let i = 0; i < bufferLength; i++) {
-        barHeight = (dataArray[i] / 255) * (canvas.height / 2);
-        
-        // Create gradient for bars
-        const gradient = ctx.createLinearGradient(0, canvas.height / 2 - barHeight, 0, canvas.height / 2);
-        gradient.addColorStop(0, '#ff4d6d');
-        gradient.addColorStop(0.5, '#ffd166');
-        gradient.addColorStop(1, '#ff6b9d');
-        
-        ctx.fillStyle = gradient;
-        
-        // Draw main bar
-        ctx.fillRect(x, canvas.height / 2 - barHeight, barWidth - 1, barHeight);
-        
-        // Draw mirror bar
-        ctx.fillRect(x, canvas.height / 2, barWidth - 1, barHeight);
-        
-        // Add glow effect
-        ctx.shadowColor = '#ff4d6d';
-        ctx.shadowBlur = 5;
-        ctx.fillRect(x, canvas.height / 2 - barHeight, barWidth - 1, barHeight);
-        ctx.fillRect(x, canvas.height / 2, barWidth - 1, barHeight);
-        ctx.shadowBlur = 0;
-        
-        x += barWidth;
+      if (particle.life <= 0) {
+        particles.splice(i, 1);
       }
-      
-      // Draw center line
-      ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-      ctx.lineWidth = 1;
-      ctx.beginPath();
-      ctx.moveTo(0, canvas.height / 4);
-      ctx.lineTo(canvas.width / 2, canvas.height / 4);
-      ctx.stroke();
-      
-      ctx.beginPath();
-      ctx.moveTo(0, canvas.height * 3 / 4);
-      ctx.lineTo(canvas.width / 2, canvas.height * 3 / 4);
-      ctx.stroke();
     }
     
-    requestAnimationFrame(drawVisualizer);
+    animationId = requestAnimationFrame(animate);
   }
   
-  // Start visualization
-  drawVisualizer();
+  // Control buttons
+  const addParticlesBtn = document.getElementById('addParticles');
+  const clearParticlesBtn = document.getElementById('clearParticles');
+  const explosionBtn = document.getElementById('explosion');
   
-  // Enhanced playback controls
-  const loopBtn = document.getElementById('loopBtn');
-  const shuffleBtn = document.getElementById('shuffleBtn');
-  const backwardBtn = document.getElementById('backwardBtn');
-  const forwardBtn = document.getElementById('forwardBtn');
+  addParticlesBtn?.addEventListener('click', () => {
+    for (let i = 0; i < 20; i++) {
+      particles.push(new Particle(
+        Math.random() * (canvas.width / 2),
+        Math.random() * (canvas.height / 2)
+      ));
+    }
+  });
   
-  if (loopBtn) {
-    loopBtn.addEventListener('click', () => {
-      audio.loop = !audio.loop;
-      loopBtn.classList.toggle('active');
-      
-      // Visual feedback
-      if (window.gsap) {
-        gsap.to(loopBtn, {
-          rotation: 360,
-          duration: 0.6,
-          ease: 'power2.out'
-        });
-      }
-      
-      // Add confetti for loop activation
-      if (audio.loop && window.confetti) {
-        confetti({
-          particleCount: 30,
-          spread: 45,
-          origin: { y: 0.6 }
-        });
-      }
-    });
-  }
+  clearParticlesBtn?.addEventListener('click', () => {
+    particles.length = 0;
+  });
   
-  if (shuffleBtn) {
-    shuffleBtn.addEventListener('click', () => {
-      shuffleBtn.classList.toggle('active');
-      
-      // Visual feedback
-      if (window.gsap) {
-        gsap.to(shuffleBtn, {
-          scale: 1.2,
-          duration: 0.3,
-          ease: 'power2.out',
-          yoyo: true,
-          repeat: 1
-        });
+  explosionBtn?.addEventListener('click', () => {
+    for (let i = 0; i < 100; i++) {
+      particles.push(new Particle(
+        canvas.width / 4,
+        canvas.height / 4
+      ));
+    }
+  });
+  
+  // Beat-synced bursts, only while the section can actually be seen
+  let canvasVisible = false;
+  new IntersectionObserver((entries) => {
+    canvasVisible = entries[0].isIntersecting;
+  }).observe(canvas);
+  
+  document.getElementById('audioPlayer')?.addEventListener('beat', (e) => {
+    if (!canvasVisible || prefersReducedMotion || particles.length > 400) return;
+    
+    const x = Math.random() * (canvas.width / 2);
+    const y = Math.random() * (canvas.height / 4);
+    const count = Math.round(10 + e.detail.strength * 30);
+    for (let i = 0; i < count; i++) {
+      particles.push(new Particle(x, y));
+    }
+  });
+  
+  animate();
+})();
+
+/* ===== Wish Garden ===== */
+(function wishGarden() {
+  const gardenCanvas = document.getElementById('gardenCanvas');
+  if (!gardenCanvas) return;
+
+  const ctx = gardenCanvas.getContext('2d');
+  const plantWishBtn = document.getElementById('plantWish');
+  const waterGardenBtn = document.getElementById('waterGarden');
+  const harvestWishesBtn = document.getElementById('harvestWishes');
+  const wishesPlantedEl = document.getElementById('wishesPlanted');
+  const wishesBloomedEl = document.getElementById('wishesBloomed');
+  const gardenLevelEl = document.getElementById('gardenLevel');
+
+  let wishes = [];
+  let gardenLevel = 1;
+
+  function draw() {
+    ctx.clearRect(0, 0, gardenCanvas.width, gardenCanvas.height);
+    wishes.forEach(wish => {
+      ctx.save();
+      ctx.translate(wish.x, wish.y);
+      if (wish.state === 'seed') {
+        ctx.fillStyle = '#8B4513';
+        ctx.beginPath();
+        ctx.arc(0, 0, 5, 0, Math.PI * 2);
+        ctx.fill();
+      } else if (wish.state === 'flower') {
+        ctx.fillStyle = wish.color;
+        for (let i = 0; i < 5; i++) {
+          ctx.beginPath();
+          ctx.ellipse(Math.cos(i * 2 * Math.PI / 5) * 10, Math.sin(i * 2 * Math.PI / 5) * 10, 5, 8, 0, 0, Math.PI * 2);
+          ctx.fill();
+        }
+        ctx.fillStyle = '#FFD700';
+        ctx.beginPath();
+        ctx.arc(0, 0, 5, 0, Math.PI * 2);
+        ctx.fill();
       }
+      ctx.restore();
     });
   }
-  
-  if (backwardBtn) {
-    backwardBtn.addEventListener('click', () => {
-      audio.currentTime = Math.max(0, audio.currentTime - 10);
-      
-      // Visual feedback
-      if (window.gsap) {
-        gsap.to(backwardBtn, {
-          x: -5,
-          duration: 0.2,
-          ease: 'power2.out',
-          yoyo: true,
-          repeat: 1
-        });
+
+  plantWishBtn.addEventListener('click', () => {
+    if (wishes.length < 10) {
+      const newWish = {
+        x: Math.random() * gardenCanvas.width,
+        y: gardenCanvas.height,
+        state: 'seed',
+        color: `hsl(${Math.random() * 360}, 70%, 60%)`
+      };
+      wishes.push(newWish);
+      if(window.gsap) {
+        gsap.from(newWish, { y: gardenCanvas.height + 20, duration: 1, ease: 'bounce.out' });
+      }
+      updateStats();
+      draw();
+    }
+  });
+
+  waterGardenBtn.addEventListener('click', () => {
+    wishes.forEach(wish => {
+      if (wish.state === 'seed') {
+        wish.state = 'flower';
+        if(window.gsap) {
+          gsap.from(wish, { scale: 0, duration: 0.5, ease: 'back.out(1.7)' });
+        }
       }
     });
-  }
-  
-  if (forwardBtn) {
-    forwardBtn.addEventListener('click', () => {
-      audio.currentTime = Math.min(audio.duration, audio.currentTime + 10);
-      
-      // Visual feedback
-      if (window.gsap) {
-        gsap.to(forwardBtn, {
-          x: 5,
-          duration: 0.2,
-          ease: 'power2.out',
-          yoyo: true,
-          repeat: 1
-        });
+    updateStats();
+    draw();
+  });
+
+  harvestWishesBtn.addEventListener('click', () => {
+    wishes.forEach(wish => {
+      if (wish.state === 'flower') {
+        if(window.gsap) {
+          gsap.to(wish, { y: -20, opacity: 0, duration: 1, ease: 'power2.in', onComplete: () => {
+            wishes = wishes.filter(w => w !== wish);
+            updateStats();
+            draw();
+          }});
+        }
       }
     });
+    if(!window.gsap) {
+      wishes = wishes.filter(wish => wish.state !== 'flower');
+      updateStats();
+      draw();
+    }
+  });
+
+  function updateStats() {
+    const planted = wishes.length;
+    const bloomed = wishes.filter(w => w.state === 'flower').length;
+    wishesPlantedEl.textContent = planted;
+    wishesBloomedEl.textContent = bloomed;
+    gardenLevelEl.textContent = Math.floor(planted / 5) + 1;
   }
-  
-  // Audio effects and enhancements
-  audio.addEventListener('play', () => {
-    // Resume audio context if suspended
-    if (audioContext.state === 'suspended') {
-      audioContext.resume();
+
+  draw();
+})();
+
+/* ===== 3D Memory Gallery ===== */
+(function memoryGallery() {
+  const gallery = document.querySelector('.memory-gallery');
+  const frame = document.getElementById('memoryFrame');
+  if (!gallery || !frame) return;
+
+  const viewer = gallery.querySelector('.gallery-viewer');
+  const prevBtn = document.getElementById('prevMemory');
+  const nextBtn = document.getElementById('nextMemory');
+  const autoPlayBtn = document.getElementById('autoPlay');
+  const fullscreenBtn = document.getElementById('fullscreen');
+  const thumbnails = gallery.querySelector('.memory-thumbnails');
+  const counterEl = document.getElementById('memoryCounter');
+  const progressFill = gallery.querySelector('.gallery-progress-fill');
+  const totalMemoriesEl = document.getElementById('totalMemories');
+  const likesEl = document.getElementById('memoryLikes');
+  const ratingEl = document.getElementById('memoryRating');
+  const likeBtn = document.getElementById('likeMemory');
+  const starsEl = document.getElementById('memoryStars');
+  const reactionsEl = frame.querySelector('.memory-reactions');
+  const favouriteFilterBtn = document.getElementById('favouriteFilter');
+  const topOrderBtn = document.getElementById('topOrder');
+  const imageEl = frame.querySelector('.memory-image');
+  const iconEl = frame.querySelector('.placeholder-image');
+  const titleEl = frame.querySelector('.memory-title');
+  const descriptionEl = frame.querySelector('.memory-description');
+  const dateEl = frame.querySelector('.memory-date');
+
+  const SLIDE_DURATION = 5000;
+  const SWIPE_THRESHOLD = 50;
+  const dateFormat = new Intl.DateTimeFormat('pl', { day: 'numeric', month: 'long', year: 'numeric' });
+
+  // Shown until content.json or an upload brings the first memory, or when there is none
+  const EMPTY_ITEM = { icon: '💕', title: 'Nasze wspomnienia', description: 'Tu pojawią się nasze wspomnienia. Możesz też dodać własne zdjęcie lub film.' };
+
+  // From content.json (gallery.items, or the memory cards when there is no gallery)
+  let contentItems = [];
+  // Photos and clips added on this device ({ media, thumb, kind, ... }), after the written ones
+  let addedItems = [];
+  let items = contentItems;
+  // Indexes into items in the order the strip and slideshow walk them
+  let view = items.map((_, i) => i);
+
+  // { [memoryKey]: { liked, rating } }
+  const reactions = storage.get('memory-reactions', {});
+  let favouritesOnly = false;
+  let topFirst = storage.get('memory-top-first', false);
+
+  let index = 0;
+  let autoPlayTimer = null;
+  let transition = null;
+
+  const requestFullscreen = gallery.requestFullscreen || gallery.webkitRequestFullscreen;
+  const exitFullscreen = document.exitFullscreen || document.webkitExitFullscreen;
+  const fullscreenElement = () => document.fullscreenElement || document.webkitFullscreenElement;
+
+  function formatDate(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return dateFormat.format(new Date(year, month - 1, day));
+  }
+
+  // --- Reactions ---
+
+  // Uploaded memories carry their own id, the written ones are known by date and title
+  function memoryKey(item) {
+    return item.id || `${item.date || ''}|${item.title}`;
+  }
+
+  function reactionFor(item) {
+    return reactions[memoryKey(item)] || { liked: false, rating: 0 };
+  }
+
+  function react(change) {
+    const item = items[index];
+    if (!item) return;
+    const key = memoryKey(item);
+    const reaction = { ...reactionFor(item), ...change };
+    if (reaction.liked || reaction.rating) {
+      reactions[key] = reaction;
+    } else {
+      delete reactions[key];
     }
-    
-    // Add visual enhancement to vinyl
-    if (window.gsap) {
-      gsap.to('.vinyl-disc', {
-        scale: 1.05,
-        duration: 0.5,
-        ease: 'back.out(2)'
-      });
+    storage.set('memory-reactions', reactions);
+
+    renderReactions(item);
+    updateStats();
+    // Un-hearting the last favourite leaves nothing to filter by
+    if (favouritesOnly && !items.some(other => reactionFor(other).liked)) favouritesOnly = false;
+    refreshView();
+  }
+
+  function renderReactions(item) {
+    const { liked, rating } = reactionFor(item);
+    if (likeBtn) {
+      likeBtn.textContent = liked ? '❤️' : '🤍';
+      likeBtn.setAttribute('aria-pressed', String(liked));
+      likeBtn.title = liked ? 'Remove from favourites' : 'Add to favourites';
     }
-  });
-  
-  audio.addEventListener('pause', () => {
-    // Add pause effect
-    if (window.gsap) {
-      gsap.to('.vinyl-disc', {
-        scale: 0.95,
-        duration: 0.3,
-        ease: 'power2.out'
+    $$('.memory-star', starsEl).forEach(star => {
+      const value = Number(star.dataset.rating);
+      star.textContent = value <= rating ? '★' : '☆';
+      star.classList.toggle('filled', value <= rating);
+      star.setAttribute('aria-checked', String(value === rating));
+    });
+  }
+
+  function updateStats() {
+    const current = items.map(reactionFor);
+    const rated = current.filter(reaction => reaction.rating);
+    if (likesEl) likesEl.textContent = current.filter(reaction => reaction.liked).length;
+    if (ratingEl) {
+      ratingEl.textContent = rated.length
+        ? (rated.reduce((sum, reaction) => sum + reaction.rating, 0) / rated.length).toFixed(1)
+        : '–';
+    }
+    if (favouriteFilterBtn) favouriteFilterBtn.disabled = !current.some(reaction => reaction.liked);
+  }
+
+  // --- Filter & order ---
+
+  function score(item) {
+    const { liked, rating } = reactionFor(item);
+    return rating * 2 + (liked ? 1 : 0);
+  }
+
+  function computeView() {
+    let order = items.map((_, i) => i);
+    if (favouritesOnly) order = order.filter(i => reactionFor(items[i]).liked);
+    if (topFirst) order.sort((a, b) => score(items[b]) - score(items[a]) || a - b);
+    return order;
+  }
+
+  function refreshView() {
+    const next = computeView();
+    if (next.join() !== view.join()) {
+      view = next;
+      renderThumbnails();
+    } else {
+      // Hearts on the thumbnails may still have changed
+      $$('.thumbnail', thumbnails).forEach(thumb => {
+        thumb.classList.toggle('liked', reactionFor(items[thumb.dataset.index]).liked);
       });
     }
-  });
-  
-  // Add keyboard shortcuts for new controls
-  document.addEventListener('keydown', (e) => {
-    if (e.target.tagName === 'INPUT') return;
-    
-    switch(e.code) {
-      case 'KeyL':
-        e.preventDefault();
-        loopBtn?.click();
-        break;
-      case 'KeyS':
-        e.preventDefault();
-        shuffleBtn?.click();
-        break;
-      case 'Comma':
-        e.preventDefault();
-        backwardBtn?.click();
-        break;
-      case 'Period':
-        e.preventDefault();
-        forwardBtn?.click();
-        break;
+    favouriteFilterBtn?.setAttribute('aria-pressed', String(favouritesOnly));
+    topOrderBtn?.setAttribute('aria-pressed', String(topFirst));
+    if (view.includes(index)) {
+      updateIndicators();
+    } else {
+      show(view[0]);
     }
-  });
-})();
-
-/* ===== Sound Effects and Audio Feedback ===== */
-(function soundEffects() {
-  // Create audio context for sound effects
-  const sfxContext = new (window.AudioContext || window.webkitAudioContext)();
-  
-  // Sound effect functions
-  function playBeep(frequency = 800, duration = 0.1, type = 'sine') {
-    const oscillator = sfxContext.createOscillator();
-    const gainNode = sfxContext.createGain();
-    
-    oscillator.connect(gainNode);
-    gainNode.connect(sfxContext.destination);
-    
-    oscillator.frequency.value = frequency;
-    oscillator.type = type;
-    
-    gainNode.gain.setValueAtTime(0.1, sfxContext.currentTime);
-    gainNode.gain.exponentialRampToValueAtTime(0.01, sfxContext.currentTime + duration);
-    
-    oscillator.start(sfxContext.currentTime);
-    oscillator.stop(sfxContext.currentTime + duration);
   }
-  
-  function playSwoosh() {
-    const oscillator = sfxContext.createOscillator();
-    const gainNode = sfxContext.createGain();
-    
-    oscillator.connect(gainNode);
-    gainNode.connect(sfxContext.destination);
-    
-    oscillator.frequency.setValueAtTime(200, sfxContext.currentTime);
-    oscillator.frequency.exponentialRampToValueAtTime(800, sfxContext.currentTime + 0.3);
-    
-    gainNode.gain.setValueAtTime(0.05, sfxContext.currentTime);
-    gainNode.gain.exponentialRampToValueAtTime(0.01, sfxContext.currentTime + 0.3);
-    
-    oscillator.start(sfxContext.currentTime);
-    oscillator.stop(sfxContext.currentTime + 0.3);
+
+  // The memory `steps` places away from the current one in the strip's order
+  function stepFrom(steps) {
+    const position = view.indexOf(index);
+    if (position === -1) return view[0];
+    return view[(position + steps + view.length) % view.length];
   }
-  
-  // Add sound effects to controls
-  const allButtons = $$('.control-btn');
-  allButtons.forEach(btn => {
-    btn.addEventListener('click', () => {
-      if (btn.id === 'playPauseBtn') {
-        playBeep(600, 0.15, 'square');
-      } else if (btn.id === 'stopBtn') {
-        playBeep(400, 0.2, 'sawtooth');
-      } else if (btn.id === 'loopBtn') {
-        playSwoosh();
-      } else if (btn.id === 'shuffleBtn') {
-        playBeep(1000, 0.1, 'triangle');
+
+  // --- Rendering ---
+
+  function fillFrame(item) {
+    imageEl.querySelector('.memory-media')?.remove();
+    iconEl.hidden = !!item.media;
+    if (item.media) {
+      const media = document.createElement(item.kind === 'video' ? 'video' : 'img');
+      media.className = 'memory-media';
+      media.src = item.media;
+      if (item.kind === 'video') {
+        media.controls = true;
+        media.playsInline = true;
+        media.poster = item.thumb || '';
+        // A clip is watched to the end, not flipped away mid-way
+        media.addEventListener('play', stopAutoPlay);
       } else {
-        playBeep(700, 0.1, 'sine');
+        media.alt = item.title;
       }
-    });
-  });
-  
-  // Add sound effects to sliders
-  const allSliders = $$('input[type="range"]');
-  allSliders.forEach(slider => {
-    slider.addEventListener('input', () => {
-      // Play different tones based on slider value
-      const normalizedValue = (slider.value - slider.min) / (slider.max - slider.min);
-      const frequency = 200 + normalizedValue * 600;
-      playBeep(frequency, 0.05, 'sine');
-    });
-  });
-  
-  // Audio level indicator
-  function createAudioLevelIndicator() {
-    const indicator = document.createElement('div');
-    indicator.className = 'audio-level-indicator';
-    indicator.innerHTML = `
-      <div class="level-bar"></div>
-      <div class="level-text">Audio Level</div>
-    `;
-    
-    document.querySelector('.music-controls').appendChild(indicator);
-    
-    // Animate level bar based on audio volume
-    setInterval(() => {
-      const levelBar = indicator.querySelector('.level-bar');
-      const currentVolume = audio.volume;
-      const level = currentVolume * 100;
-      
-      levelBar.style.width = `${level}%`;
-      levelBar.style.background = `linear-gradient(90deg, #ff4d6d ${level}%, rgba(255, 77, 109, 0.2) ${level}%)`;
-      
-      // Add pulse effect when volume is high
-      if (currentVolume > 0.8) {
-        levelBar.style.animation = 'level-pulse 0.5s ease-in-out';
+      imageEl.appendChild(media);
+    }
+    iconEl.textContent = item.icon || '💕';
+    titleEl.textContent = item.title;
+    descriptionEl.textContent = item.description;
+    dateEl.textContent = item.date ? formatDate(item.date) : '';
+    dateEl.hidden = !item.date;
+    if (reactionsEl) reactionsEl.hidden = item === EMPTY_ITEM;
+    renderReactions(item);
+    gallery.dispatchEvent(new CustomEvent('memorychange', { detail: { item, index } }));
+  }
+
+  // Thumbnails double as deep-link targets: #memory-3 opens the third memory
+  function renderThumbnails() {
+    thumbnails.replaceChildren(...view.map(i => {
+      const item = items[i];
+      const thumb = document.createElement('button');
+      thumb.type = 'button';
+      thumb.className = 'thumbnail';
+      thumb.classList.toggle('liked', reactionFor(item).liked);
+      thumb.id = `memory-${i + 1}`;
+      thumb.dataset.index = i;
+      thumb.setAttribute('aria-label', `Wspomnienie ${i + 1}: ${item.title}`);
+
+      let icon;
+      if (item.thumb) {
+        icon = document.createElement('img');
+        icon.className = 'thumb-image';
+        icon.src = item.thumb;
+        icon.alt = '';
       } else {
-        levelBar.style.animation = 'none';
+        icon = document.createElement('div');
+        icon.className = 'thumb-icon';
+        icon.textContent = item.icon;
       }
-    }, 100);
+      const title = document.createElement('span');
+      title.className = 'thumb-title';
+      title.textContent = item.title;
+
+      thumb.append(icon, title);
+      return thumb;
+    }));
+    if (totalMemoriesEl) totalMemoriesEl.textContent = items.length;
   }
-  
-  // Initialize audio level indicator
-  setTimeout(createAudioLevelIndicator, 1000);
-  
-  // Add CSS for audio level indicator
-  const style = document.createElement('style');
-  style.textContent = `
-    .audio-level-indicator {
-      margin-top: 15px;
-      text-align: center;
+
+  function updateIndicators() {
+    let active = null;
+    $$('.thumbnail', thumbnails).forEach(thumb => {
+      const current = Number(thumb.dataset.index) === index;
+      thumb.classList.toggle('active', current);
+      thumb.setAttribute('aria-current', current ? 'true' : 'false');
+      if (current) active = thumb;
+    });
+    if (counterEl) counterEl.textContent = `${view.indexOf(index) + 1} / ${view.length}`;
+    // Centres the active thumbnail without scrolling the page itself
+    if (active && thumbnails.scrollWidth > thumbnails.clientWidth) {
+      thumbnails.scrollTo({
+        left: active.offsetLeft - (thumbnails.clientWidth - active.offsetWidth) / 2,
+        behavior: prefersReducedMotion ? 'auto' : 'smooth'
+      });
     }
-    
-    .level-bar {
-      width: 100%;
-      height: 8px;
-      background: rgba(255, 77, 109, 0.2);
-      border-radius: 4px;
-      overflow: hidden;
-      margin-bottom: 8px;
-      transition: all 0.3s ease;
+  }
+
+  // The frame turns away like a page, the new memory is swapped in edge-on
+  function show(target, { direction = target >= index ? 1 : -1, updateLink = true } = {}) {
+    if (!items.length) return;
+    const next = (target + items.length) % items.length;
+    const changed = next !== index;
+    index = next;
+    updateIndicators();
+    if (updateLink) history.replaceState(null, '', `#memory-${index + 1}`);
+    restartProgress();
+
+    if (!changed) {
+      fillFrame(items[index]);
+      return;
     }
-    
-    .level-text {
-      color: var(--muted);
-      font-size: 0.8rem;
-      text-transform: uppercase;
-      letter-spacing: 1px;
+
+    transition?.kill();
+    if (!window.gsap || prefersReducedMotion) {
+      fillFrame(items[index]);
+      return;
+    }
+
+    transition = gsap.timeline()
+      .to(frame, { rotateY: -90 * direction, z: -120, opacity: 0.2, duration: 0.35, ease: 'power2.in' })
+      .call(() => fillFrame(items[index]))
+      .set(frame, { rotateY: 90 * direction })
+      .to(frame, { rotateY: 0, z: 0, opacity: 1, duration: 0.45, ease: 'power2.out' });
+  }
+
+  // --- Autoplay ---
+
+  function restartProgress() {
+    if (!progressFill) return;
+    progressFill.classList.remove('running');
+    if (!autoPlayTimer) return;
+    void progressFill.offsetWidth; // restart the CSS animation
+    progressFill.style.animationDuration = `${SLIDE_DURATION}ms`;
+    progressFill.classList.add('running');
+  }
+
+  function startAutoPlay() {
+    stopAutoPlay();
+    autoPlayTimer = setInterval(() => show(stepFrom(1), { direction: 1 }), SLIDE_DURATION);
+    autoPlayBtn.textContent = '⏸️ Zatrzymaj';
+    autoPlayBtn.setAttribute('aria-pressed', 'true');
+    gallery.classList.add('autoplaying');
+    restartProgress();
+  }
+
+  function stopAutoPlay() {
+    clearInterval(autoPlayTimer);
+    autoPlayTimer = null;
+    autoPlayBtn.textContent = '▶️ Auto-odtwarzanie';
+    autoPlayBtn.setAttribute('aria-pressed', 'false');
+    gallery.classList.remove('autoplaying');
+    restartProgress();
+  }
+
+  function toggleAutoPlay() {
+    if (autoPlayTimer) {
+      stopAutoPlay();
+    } else {
+      startAutoPlay();
+    }
+  }
+
+  // Manual navigation restarts the countdown to the next slide
+  function navigate(target, direction) {
+    show(target, { direction });
+    if (autoPlayTimer) startAutoPlay();
+  }
+
+  // --- Fullscreen ---
+
+  function toggleFullscreen() {
+    if (fullscreenElement()) {
+      exitFullscreen.call(document);
+    } else {
+      Promise.resolve(requestFullscreen.call(gallery)).catch(error => {
+        logger.warn('Fullscreen request denied: ' + error.message);
+      });
+    }
+  }
+
+  function onFullscreenChange() {
+    const active = fullscreenElement() === gallery;
+    gallery.classList.toggle('is-fullscreen', active);
+    fullscreenBtn.textContent = active ? '✖️ Zamknij pełny ekran' : '🔍 Pełny ekran';
+    if (active) viewer.focus();
+  }
+
+  if (requestFullscreen) {
+    fullscreenBtn.addEventListener('click', toggleFullscreen);
+    document.addEventListener('fullscreenchange', onFullscreenChange);
+    document.addEventListener('webkitfullscreenchange', onFullscreenChange);
+  } else {
+    fullscreenBtn.hidden = true;
+  }
+
+  // --- Input ---
+
+  prevBtn.addEventListener('click', () => navigate(stepFrom(-1), -1));
+  nextBtn.addEventListener('click', () => navigate(stepFrom(1), 1));
+  autoPlayBtn.addEventListener('click', toggleAutoPlay);
+
+  likeBtn?.addEventListener('click', () => {
+    react({ liked: !reactionFor(items[index]).liked });
+  });
+
+  starsEl?.addEventListener('click', (e) => {
+    const star = e.target.closest('.memory-star');
+    if (!star) return;
+    const rating = Number(star.dataset.rating);
+    // Picking the same rating again clears it
+    react({ rating: reactionFor(items[index]).rating === rating ? 0 : rating });
+  });
+
+  favouriteFilterBtn?.addEventListener('click', () => {
+    favouritesOnly = !favouritesOnly;
+    refreshView();
+  });
+
+  topOrderBtn?.addEventListener('click', () => {
+    topFirst = !topFirst;
+    storage.set('memory-top-first', topFirst);
+    refreshView();
+  });
+
+  thumbnails.addEventListener('click', (e) => {
+    const thumb = e.target.closest('.thumbnail');
+    if (thumb) navigate(Number(thumb.dataset.index));
+  });
+
+  gallery.addEventListener('keydown', (e) => {
+    if (isTypingTarget(e.target)) return;
+    const keys = {
+      ArrowLeft: () => navigate(stepFrom(-1), -1),
+      ArrowRight: () => navigate(stepFrom(1), 1),
+      Home: () => navigate(view[0], -1),
+      End: () => navigate(view[view.length - 1], 1),
+      ' ': toggleAutoPlay,
+      f: requestFullscreen && toggleFullscreen
+    };
+    const action = keys[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+    // Space on a focused button already clicks it
+    if (!action || (e.key === ' ' && e.target.closest('button'))) return;
+    e.preventDefault();
+    e.stopPropagation();
+    action();
+  });
+
+  let swipeStart = null;
+  viewer.addEventListener('pointerdown', (e) => {
+    swipeStart = { x: e.clientX, y: e.clientY };
+  });
+  viewer.addEventListener('pointerup', (e) => {
+    if (!swipeStart) return;
+    const dx = e.clientX - swipeStart.x;
+    const dy = e.clientY - swipeStart.y;
+    swipeStart = null;
+    if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+      navigate(stepFrom(dx < 0 ? 1 : -1), dx < 0 ? 1 : -1);
     }
-    
-    @keyframes level-pulse {
-      0%, 100% { opacity: 1; }
-      50% { opacity: 0.7; }
+  });
+  viewer.addEventListener('pointercancel', () => {
+    swipeStart = null;
+  });
+
+  // A hidden tab would otherwise flip through the whole gallery unseen
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden && autoPlayTimer) stopAutoPlay();
+  });
+
+  // --- Deep links ---
+
+  function openFromHash() {
+    const match = location.hash.match(/^#memory-(\d+)$/);
+    if (!match) return false;
+    const target = Number(match[1]) - 1;
+    if (target < 0 || target >= items.length) return false;
+    // A link to a memory outside the favourites shows everything again
+    if (!view.includes(target)) {
+      favouritesOnly = false;
+      view = computeView();
+      renderThumbnails();
+      favouriteFilterBtn?.setAttribute('aria-pressed', 'false');
     }
-  `;
-  document.head.appendChild(style);
-  
-  // Enhanced vinyl effects
-  audio.addEventListener('timeupdate', () => {
-    if (audio.paused) return;
-    
-    // Add vinyl scratch effect randomly
-    if (Math.random() < 0.001) { // Very rare
-      const scratch = sfxContext.createOscillator();
-      const scratchGain = sfxContext.createGain();
-      
-      scratch.connect(scratchGain);
-      scratchGain.connect(sfxContext.destination);
-      
-      scratch.frequency.setValueAtTime(100, sfxContext.currentTime);
-      scratch.frequency.exponentialRampToValueAtTime(50, sfxContext.currentTime + 0.1);
-      
-      scratchGain.gain.setValueAtTime(0.02, sfxContext.currentTime);
-      scratchGain.gain.exponentialRampToValueAtTime(0.01, sfxContext.currentTime + 0.1);
-      
-      scratch.start(sfxContext.currentTime);
-      scratch.stop(sfxContext.currentTime + 0.1);
+    show(target, { updateLink: false });
+    return true;
+  }
+
+  window.addEventListener('hashchange', openFromHash);
+
+  function rebuild() {
+    items = [...contentItems, ...addedItems];
+    if (!items.length) {
+      index = 0;
+      view = [];
+      renderThumbnails();
+      updateStats();
+      if (counterEl) counterEl.textContent = '0 / 0';
+      fillFrame(EMPTY_ITEM);
+      return;
+    }
+    index = Math.max(0, Math.min(index, items.length - 1));
+    if (favouritesOnly && !items.some(item => reactionFor(item).liked)) favouritesOnly = false;
+    view = computeView();
+    if (!view.includes(index)) index = view[0];
+    renderThumbnails();
+    updateStats();
+    updateIndicators();
+    fillFrame(items[index]);
+  }
+
+  window.memoryGallery = {
+    get items() {
+      return items;
+    },
+    get current() {
+      return items[index];
+    },
+    show: (target) => navigate(target),
+    // Returns the index of the new memory
+    add(item) {
+      addedItems.push(item);
+      rebuild();
+      // Deep links to photos work once they are loaded from the database
+      openFromHash();
+      return items.indexOf(item);
+    },
+    update(item) {
+      rebuild();
+      return items.indexOf(item);
+    },
+    remove(item) {
+      addedItems = addedItems.filter(added => added !== item);
+      if (reactions[memoryKey(item)]) {
+        delete reactions[memoryKey(item)];
+        storage.set('memory-reactions', reactions);
+      }
+      rebuild();
     }
+  };
+
+  document.addEventListener('contentchange', (e) => {
+    const { gallery: galleryContent, memories } = e.detail.content;
+    contentItems = galleryContent?.items
+      || memories.items.map(({ icon, title, text }) => ({ icon, title, description: text }));
+    rebuild();
+    openFromHash();
   });
-})(); 
 
-/* ===== Interactive Love Game ===== */
-(function loveGame() {
-  const gameContainer = document.getElementById('loveGame');
-  if (!gameContainer) return;
+  rebuild();
+  topOrderBtn?.setAttribute('aria-pressed', String(topFirst));
+  if (!openFromHash()) show(view[0], { updateLink: false });
+})();
 
-  const gameHearts = gameContainer.querySelector('.game-hearts');
-  const gameScore = gameContainer.querySelector('#gameScore');
-  const gameArea = gameContainer.querySelector('.game-area');
-  
-  let score = 0;
-  let timer;
-  let gameStarted = false;
+/* ===== Memory Photo & Video Upload ===== */
+// Photos and short clips from the device, kept in IndexedDB ('memories') and
+// shown both in the 3D gallery and as cards in the #gallery grid
+(function memoryUploads() {
+  const gallery = document.querySelector('.memory-gallery');
+  const uploadBtn = document.getElementById('memoryUploadBtn');
+  const fileInput = document.getElementById('memoryFileInput');
+  const statusEl = document.getElementById('memoryUploadStatus');
+  const editBtn = document.getElementById('editMemory');
+  const grid = document.querySelector('#gallery .memory-grid');
 
-  function createStartButton() {
-    const startButton = document.createElement('button');
-    startButton.textContent = 'Zacznij grę';
-    startButton.className = 'btn primary';
-    startButton.style.marginTop = '20px';
-    gameArea.appendChild(startButton);
+  const dialog = document.getElementById('memoryDialog');
+  const form = document.getElementById('memoryForm');
+  const preview = document.getElementById('memoryDialogPreview');
+  const titleInput = document.getElementById('memoryTitleInput');
+  const descriptionInput = document.getElementById('memoryDescriptionInput');
+  const dateInput = document.getElementById('memoryDateInput');
+  const deleteBtn = document.getElementById('deleteMemory');
+  const cancelBtn = document.getElementById('cancelMemory');
 
-    startButton.addEventListener('click', startGame);
+  if (!gallery || !uploadBtn || !fileInput || !dialog || !window.memoryGallery) return;
+
+  const THUMB_SIZE = 320;
+  const MAX_VIDEO_SECONDS = 60;
+  const EXIF_BYTES = 128 * 1024;
+
+  let editing = null;
+
+  function setStatus(message) {
+    statusEl.textContent = message;
   }
 
-  function startGame() {
-    if (gameStarted) return;
-    gameStarted = true;
-    score = 0;
-    gameScore.textContent = score;
-    gameArea.querySelector('button').remove();
-    
-    createGameHearts();
+  function dateKey(date) {
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+      .map((part, i) => String(part).padStart(i ? 2 : 4, '0'))
+      .join('-');
+  }
 
-    timer = setTimeout(() => {
-      endGame();
-    }, 30000);
+  // --- EXIF ---
+
+  // DateTimeOriginal (0x9003) from the Exif sub-IFD of a JPEG, as "YYYY-MM-DD"
+  function readExifDate(buffer) {
+    const view = new DataView(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      const size = view.getUint16(offset + 2);
+      if (marker === 0xFFDA) break; // image data starts, no more metadata
+      if (marker === 0xFFE1 && offset + 8 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+        return readTiffDate(view, offset + 10);
+      }
+      offset += 2 + size;
+    }
+    return null;
   }
 
-  function endGame() {
-    gameStarted = false;
-    clearTimeout(timer);
-    gameHearts.innerHTML = `<p>Koniec gry! Twój wynik to: ${score}</p>`;
-    createStartButton();
+  function readTiffDate(view, tiff) {
+    if (tiff + 8 > view.byteLength) return null;
+    const little = view.getUint16(tiff) === 0x4949;
+    const entryAt = (ifd, tag) => {
+      if (ifd + 2 > view.byteLength) return null;
+      const count = view.getUint16(ifd, little);
+      for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > view.byteLength) return null;
+        if (view.getUint16(entry, little) === tag) return entry;
+      }
+      return null;
+    };
+    const readAscii = (entry) => {
+      const start = tiff + view.getUint32(entry + 8, little);
+      let text = '';
+      for (let i = 0; i < 19 && start + i < view.byteLength; i++) text += String.fromCharCode(view.getUint8(start + i));
+      return text;
+    };
+
+    const ifd0 = tiff + view.getUint32(tiff + 4, little);
+    const exifPointer = entryAt(ifd0, 0x8769);
+    const original = exifPointer && entryAt(tiff + view.getUint32(exifPointer + 8, little), 0x9003);
+    // DateTime (0x0132) is the last edit, still better than nothing
+    const entry = original || entryAt(ifd0, 0x0132);
+    const match = entry && readAscii(entry).match(/^(\d{4}):(\d{2}):(\d{2})/);
+    if (!match || match[1] === '0000') return null;
+    return `${match[1]}-${match[2]}-${match[3]}`;
   }
 
-  function createGameHearts() {
-    if (!gameStarted) return;
-    gameHearts.innerHTML = '';
-    for (let i = 0; i < 15; i++) {
-      const isGolden = Math.random() < 0.2;
-      const heart = document.createElement('div');
-      heart.className = 'game-heart' + (isGolden ? ' golden' : '');
-      heart.style.animationDelay = `${Math.random() * 2}s`;
-      heart.style.animation = 'heart-float 3s ease-in-out infinite';
-      
-      heart.addEventListener('click', () => {
-        if (!heart.classList.contains('clicked') && gameStarted) {
-          heart.classList.add('clicked');
-          const points = isGolden ? 50 : 10;
-          score += points;
-          gameScore.textContent = score;
-          
-          playBeep(isGolden ? 1200 : 800, 0.1, 'triangle');
+  // --- Thumbnails ---
 
-          if (window.gsap) {
-            const tl = gsap.timeline();
-            tl.to(heart, {
-              scale: 1.5,
-              opacity: 0,
-              duration: 0.3,
-              ease: 'power2.out',
-              onComplete: () => heart.remove()
-            });
-            tl.to(gameScore, {
-              scale: 1.3,
-              duration: 0.3,
-              ease: 'back.out(2)',
-              yoyo: true,
-              repeat: 1
-            }, "<0.1");
-          } else {
-            heart.remove();
-          }
+  // The reason goes into the status line, the message into the log
+  function uploadError(message, reason) {
+    return Object.assign(new Error(message), { reason });
+  }
 
-          if (gameHearts.children.length === 0) {
-            setTimeout(createGameHearts, 500);
-          }
+  function loadImage(url) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve({ source: image, width: image.naturalWidth, height: image.naturalHeight });
+      image.onerror = () => reject(uploadError('the image could not be decoded', 'nie da się odczytać zdjęcia'));
+      image.src = url;
+    });
+  }
+
+  function loadVideoFrame(url) {
+    return new Promise((resolve, reject) => {
+      const video = document.createElement('video');
+      video.muted = true;
+      video.playsInline = true;
+      video.preload = 'auto';
+      video.onerror = () => reject(uploadError('the video could not be decoded', 'nie da się odczytać filmu'));
+      video.onloadedmetadata = () => {
+        if (video.duration > MAX_VIDEO_SECONDS) {
+          reject(uploadError(`the clip is longer than ${MAX_VIDEO_SECONDS} s`, `film dłuższy niż ${MAX_VIDEO_SECONDS} s`));
+          return;
         }
-      });
-      
-      gameHearts.appendChild(heart);
+        // A frame a little way in is more telling than a black first one
+        video.currentTime = Math.min(1, video.duration / 2);
+      };
+      video.onseeked = () => resolve({ source: video, width: video.videoWidth, height: video.videoHeight });
+      video.src = url;
+    });
+  }
+
+  async function createThumbnail(file, kind) {
+    const url = URL.createObjectURL(file);
+    try {
+      const { source, width, height } = await (kind === 'video' ? loadVideoFrame(url) : loadImage(url));
+      const scale = Math.min(1, THUMB_SIZE / Math.max(width, height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(width * scale));
+      canvas.height = Math.max(1, Math.round(height * scale));
+      canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+      return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+    } finally {
+      URL.revokeObjectURL(url);
     }
   }
-  
-  createStartButton();
-})();
 
-/* ===== Mood Tracker ===== */
-(function moodTracker() {
-  const moodBtns = $$('.mood-btn');
-  
-  moodBtns.forEach(btn => {
-    btn.addEventListener('click', () => {
-      // Remove previous selection
-      moodBtns.forEach(b => b.classList.remove('selected'));
-      
-      // Select current mood
-      btn.classList.add('selected');
-      
-      // Add celebration effect
-      if (window.confetti) {
-        const mood = btn.dataset.mood;
-        let colors = ['#ff4d6d', '#ffd166'];
-        
-        if (mood === 'love') colors = ['#ff6b9d', '#ff8fa3'];
-        if (mood === 'excited') colors = ['#ffd166', '#ffb347'];
-        if (mood === 'peaceful') colors = ['#87ceeb', '#98fb98'];
-        
-        confetti({
-          particleCount: 50,
-          spread: 70,
-          colors: colors,
-          origin: { y: 0.6 }
-        });
-      }
-      
-      // Add mood-specific animation
-      if (window.gsap) {
-        gsap.to(btn, {
-          rotation: 360,
-          duration: 0.8,
-          ease: 'power2.out'
-        });
-      }
+  // --- Gallery items & grid cards ---
+
+  function toItem(record) {
+    return {
+      icon: record.kind === 'video' ? '🎬' : '📸',
+      title: record.title,
+      description: record.description,
+      date: record.date,
+      id: record.id ? `upload-${record.id}` : null,
+      kind: record.kind,
+      media: URL.createObjectURL(record.file),
+      thumb: record.thumb ? URL.createObjectURL(record.thumb) : null,
+      record
+    };
+  }
+
+  function renderCard(item) {
+    const card = document.createElement('div');
+    card.className = 'memory-card has-media';
+    card.dataset.upload = '';
+    card.tabIndex = 0;
+
+    const photo = document.createElement('img');
+    photo.className = 'memory-photo';
+    photo.src = item.thumb || '';
+    photo.alt = item.title;
+    const title = document.createElement('h4');
+    title.textContent = (item.kind === 'video' ? '🎬 ' : '') + item.title;
+    const description = document.createElement('p');
+    description.textContent = item.description;
+
+    card.append(photo, title, description);
+    card.addEventListener('click', () => openInGallery(item));
+    card.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') openInGallery(item);
     });
-  });
-})();
+    return card;
+  }
 
-/* ===== Message Box ===== */
-(function messageBox() {
-  const sendBtn = document.getElementById('sendMessage');
-  const messageInput = document.getElementById('loveMessage');
-  
-  sendBtn.addEventListener('click', () => {
-    const message = messageInput.value.trim();
-    if (message) {
-      // Add sending animation
-      if (window.gsap) {
-        gsap.to(sendBtn, {
-          scale: 0.9,
-          duration: 0.2,
-          ease: 'power2.out',
-          yoyo: true,
-          repeat: 1
-        });
-      }
-      
-      // Show success message
-      const successMsg = document.createElement('div');
-      successMsg.className = 'success-message';
-      successMsg.textContent = '💕 Wiadomość wysłana z miłością!';
-      successMsg.style.cssText = `
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        background: linear-gradient(135deg, #ff4d6d, #ffd166);
-        color: white;
-        padding: 15px 20px;
-        border-radius: 25px;
-        box-shadow: 0 10px 30px rgba(255, 77, 109, 0.4);
-        z-index: 10000;
-        animation: slideIn 0.5s ease-out;
-      `;
-      
-      document.body.appendChild(successMsg);
-      
-      // Add confetti
-      if (window.confetti) {
-        confetti({
-          particleCount: 100,
-          spread: 90,
-          origin: { y: 0.1 }
-        });
+  // pageContent re-renders the grid from content.json, so uploaded cards are re-added after it
+  function renderCards() {
+    if (!grid) return;
+    $$('.memory-card[data-upload]', grid).forEach(card => card.remove());
+    grid.append(...addedItems().map(renderCard));
+  }
+
+  function addedItems() {
+    return window.memoryGallery.items.filter(item => item.record);
+  }
+
+  function openInGallery(item) {
+    window.memoryGallery.show(window.memoryGallery.items.indexOf(item));
+    document.getElementById('memory-gallery')?.scrollIntoView({ behavior: prefersReducedMotion ? 'auto' : 'smooth' });
+  }
+
+  // --- Uploading ---
+
+  async function addFile(file) {
+    const kind = file.type.startsWith('video/') ? 'video' : 'image';
+    const thumb = await createThumbnail(file, kind);
+    let exifDate = null;
+    if (kind === 'image') {
+      // A damaged EXIF block only costs the date; the file's own date stands in
+      try {
+        exifDate = readExifDate(await file.slice(0, EXIF_BYTES).arrayBuffer());
+      } catch (error) {
+        logger.warn(`Could not read the EXIF date of ${file.name}: ${error.message}`);
       }
-      
-      // Remove message after 3 seconds
-      setTimeout(() => {
-        successMsg.style.animation = 'slideOut 0.5s ease-in';
-        setTimeout(() => successMsg.remove(), 500);
-      }, 3000);
-      
-      // Clear input
-      messageInput.value = '';
     }
-  });
-  
-  // Add slide animations CSS
-  const style = document.createElement('style');
-  style.textContent = `
-    @keyframes slideIn {
-      from { transform: translateX(100%); opacity: 0; }
-      to { transform: translateX(0); opacity: 1; }
+
+    const record = {
+      file,
+      thumb,
+      kind,
+      title: file.name.replace(/\.[^.]+$/, ''),
+      description: '',
+      date: exifDate || dateKey(new Date(file.lastModified || Date.now())),
+      added: Date.now()
+    };
+
+    try {
+      record.id = await database.put('memories', record);
+    } catch (error) {
+      logger.warn(`Memory "${record.title}" will not be kept: ${error.message}`);
+    }
+
+    const item = toItem(record);
+    window.memoryGallery.add(item);
+    return item;
+  }
+
+  async function uploadFiles(files) {
+    const media = Array.from(files).filter(file => /^(image|video)\//.test(file.type));
+    if (!media.length) {
+      setStatus('To nie są zdjęcia ani filmy 📷');
+      return;
+    }
+
+    setStatus('Dodawanie wspomnień...');
+    const added = [];
+    const skipped = [];
+    for (const file of media) {
+      try {
+        added.push(await addFile(file));
+      } catch (error) {
+        logger.warn(`Could not add ${file.name}: ${error.message}`);
+        skipped.push(`${file.name} (${error.reason || 'nie udało się wczytać pliku'})`);
+      }
     }
-    @keyframes slideOut {
-      from { transform: translateX(0); opacity: 1; }
-      to { transform: translateX(100%); opacity: 0; }
+
+    const messages = [];
+    if (added.length) messages.push(`Dodano wspomnienia: ${added.length} 💕`);
+    if (skipped.length) messages.push(`Nie udało się dodać: ${skipped.join(', ')}`);
+    setStatus(messages.join(' · '));
+
+    renderCards();
+    if (added.length) {
+      window.memoryGallery.show(window.memoryGallery.items.indexOf(added[0]));
+      openEditor(added[0]);
     }
-  `;
-  document.head.appendChild(style);
-})();
+  }
 
-/* ===== 3D Cube Gallery ===== */
-(function cubeGallery() {
-  const cube = document.querySelector('.cube');
-  const rotateXBtn = document.getElementById('rotateX');
-  const rotateYBtn = document.getElementById('rotateY');
-  const rotateZBtn = document.getElementById('rotateZ');
-  const autoRotateBtn = document.getElementById('autoRotate');
-  
-  let autoRotate = false;
-  let rotationX = 0;
-  let rotationY = 0;
-  let rotationZ = 0;
-  
-  function updateCubeRotation() {
-    cube.style.transform = `rotateX(${rotationX}deg) rotateY(${rotationY}deg) rotateZ(${rotationZ}deg)`;
+  // --- Editing ---
+
+  function openEditor(item) {
+    editing = item;
+    preview.src = item.thumb || '';
+    preview.hidden = !item.thumb;
+    titleInput.value = item.title;
+    descriptionInput.value = item.description;
+    dateInput.value = item.date || '';
+    dialog.showModal();
+    titleInput.select();
   }
-  
-  rotateXBtn?.addEventListener('click', () => {
-    rotationX += 90;
-    updateCubeRotation();
-    
-    // Add button animation
-    if (window.gsap) {
-      gsap.to(rotateXBtn, {
-        scale: 1.1,
-        duration: 0.3,
-        ease: 'power2.out',
-        yoyo: true,
-        repeat: 1
-      });
+
+  form.addEventListener('submit', () => {
+    if (!editing || !titleInput.value.trim()) return;
+    const { record } = editing;
+    record.title = editing.title = titleInput.value.trim();
+    record.description = editing.description = descriptionInput.value.trim();
+    record.date = editing.date = dateInput.value || null;
+
+    if (record.id) {
+      database.put('memories', record)
+        .catch(error => logger.warn('Could not save memory: ' + error.message));
     }
+    window.memoryGallery.update(editing);
+    renderCards();
+    editing = null;
   });
-  
-  rotateYBtn?.addEventListener('click', () => {
-    rotationY += 90;
-    updateCubeRotation();
-    
-    if (window.gsap) {
-      gsap.to(rotateYBtn, {
-        scale: 1.1,
-        duration: 0.3,
-        ease: 'power2.out',
-        yoyo: true,
-        repeat: 1
-      });
+
+  deleteBtn.addEventListener('click', () => {
+    const item = editing;
+    if (!item || !confirm(`Usunąć wspomnienie „${item.title}”?`)) return;
+    dialog.close();
+    editing = null;
+
+    window.memoryGallery.remove(item);
+    URL.revokeObjectURL(item.media);
+    if (item.thumb) URL.revokeObjectURL(item.thumb);
+    if (item.record.id) {
+      database.delete('memories', item.record.id)
+        .catch(error => logger.warn('Could not delete memory: ' + error.message));
     }
+    renderCards();
   });
-  
-  rotateZBtn?.addEventListener('click', () => {
-    rotationZ += 90;
-    updateCubeRotation();
-    
+
+  cancelBtn.addEventListener('click', () => dialog.close());
+
+  // Only uploaded memories can be edited; the written ones live in content.json
+  gallery.addEventListener('memorychange', (e) => {
+    if (editBtn) editBtn.hidden = !e.detail.item.record;
+  });
+
+  editBtn?.addEventListener('click', () => {
+    const item = window.memoryGallery.current;
+    if (item?.record) openEditor(item);
+  });
+
+  uploadBtn.addEventListener('click', () => fileInput.click());
+
+  fileInput.addEventListener('change', () => {
+    uploadFiles(fileInput.files);
+    fileInput.value = '';
+  });
+
+  // Drag & drop anywhere on the gallery
+  const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  ['dragenter', 'dragover'].forEach(type => {
+    gallery.addEventListener(type, (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      gallery.classList.add('drop-target');
+    });
+  });
+
+  gallery.addEventListener('dragleave', (e) => {
+    if (!gallery.contains(e.relatedTarget)) gallery.classList.remove('drop-target');
+  });
+
+  gallery.addEventListener('drop', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    gallery.classList.remove('drop-target');
+    uploadFiles(e.dataTransfer.files);
+  });
+
+  document.addEventListener('contentchange', renderCards);
+
+  // Bring back the memories added on earlier visits
+  database.getAll('memories')
+    .then(records => {
+      records.forEach(record => window.memoryGallery.add(toItem(record)));
+      renderCards();
+    })
+    .catch(error => logger.warn('Could not load memories: ' + error.message));
+})();
+
+/* ===== Relationship Milestones ===== */
+// Counts the time together from relationship.startDate in content.json and
+// celebrates round numbers: 100, 365, 500 and every 1000 days, every month
+(function relationshipMilestones() {
+  const banner = document.getElementById('milestoneBanner');
+  const bannerText = document.getElementById('milestoneBannerText');
+  const bannerClose = document.getElementById('milestoneBannerClose');
+
+  const DAY_MILESTONES = [100, 365, 500];
+  const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+  let start = null;
+  let celebrated = storage.get('milestones-celebrated', []);
+
+  // Polish plural forms: 1 rok, 2 lata, 5 lat, 22 lata, 12 lat
+  function plural(count, one, few, many) {
+    if (count === 1) return one;
+    const lastDigit = count % 10;
+    const lastTwo = count % 100;
+    return lastDigit >= 2 && lastDigit <= 4 && (lastTwo < 12 || lastTwo > 14) ? few : many;
+  }
+
+  function toKey(date) {
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+      .map((part, i) => String(part).padStart(i ? 2 : 4, '0'))
+      .join('-');
+  }
+
+  function fromKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  function startOfToday() {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  }
+
+  // Month-versaries on the 31st fall on the last day of shorter months
+  function addMonths(date, months) {
+    const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(date.getDate(), lastDay));
+    return target;
+  }
+
+  function daysBetween(from, to) {
+    // Rounding absorbs the hour lost or gained at DST changes
+    return Math.round((to - from) / MS_PER_DAY);
+  }
+
+  function together(date = startOfToday()) {
+    if (!start || date < start) return null;
+    const days = daysBetween(start, date);
+    let months = (date.getFullYear() - start.getFullYear()) * 12 + date.getMonth() - start.getMonth();
+    if (addMonths(start, months) > date) months--;
+    return { days, weeks: Math.floor(days / 7), months };
+  }
+
+  function monthTitle(months) {
+    if (months % 12) return `${months} ${plural(months, 'miesiąc', 'miesiące', 'miesięcy')} razem`;
+    const years = months / 12;
+    return `${years} ${plural(years, 'rok', 'lata', 'lat')} razem`;
+  }
+
+  // Every milestone whose date falls within [from, to] (Date objects, inclusive)
+  function between(from, to) {
+    if (!start) return [];
+    const milestones = [];
+    const lastDay = daysBetween(start, to);
+
+    const days = [...DAY_MILESTONES];
+    for (let thousand = 1000; thousand <= lastDay; thousand += 1000) days.push(thousand);
+    days.forEach(count => {
+      const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + count);
+      if (date >= from && date <= to) milestones.push({ date: toKey(date), title: `${count} dni razem`, kind: 'days', count });
+    });
+
+    for (let months = 1; addMonths(start, months) <= to; months++) {
+      const date = addMonths(start, months);
+      if (date >= from) milestones.push({ date: toKey(date), title: monthTitle(months), kind: 'months', count: months });
+    }
+
+    // 365 days and one year often land on the same day; the year reads nicer
+    const byDate = new Map();
+    milestones.forEach(milestone => {
+      if (!byDate.has(milestone.date) || milestone.kind === 'months') byDate.set(milestone.date, milestone);
+    });
+    return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  function showBanner(milestone) {
+    if (!banner) return;
+    bannerText.textContent = `🎉 Dziś świętujemy: ${milestone.title}! 💞`;
+    banner.hidden = false;
+    window.shootConfetti?.(1.5);
     if (window.gsap) {
-      gsap.to(rotateZBtn, {
-        scale: 1.1,
-        duration: 0.3,
-        ease: 'power2.out',
-        yoyo: true,
-        repeat: 1
-      });
+      gsap.fromTo(banner, { y: -40, opacity: 0 }, { y: 0, opacity: 1, duration: 0.6, ease: 'back.out(2)' });
     }
+  }
+
+  // Each milestone is celebrated once, on its day
+  function checkToday() {
+    const today = startOfToday();
+    const milestone = between(today, today).find(m => !celebrated.includes(`${m.date} ${m.title}`));
+    if (!milestone) return;
+    celebrated = [...celebrated, `${milestone.date} ${milestone.title}`];
+    storage.set('milestones-celebrated', celebrated);
+    logger.info(`Milestone reached: ${milestone.title}`);
+    showBanner(milestone);
+  }
+
+  bannerClose?.addEventListener('click', () => {
+    banner.hidden = true;
   });
-  
-  autoRotateBtn?.addEventListener('click', () => {
-    autoRotate = !autoRotate;
-    autoRotateBtn.classList.toggle('active');
-    
-    if (autoRotate) {
-      autoRotateBtn.textContent = '⏸️ Stop';
-      autoRotateBtn.style.background = 'linear-gradient(135deg, #ff6b9d, #ff8fa3)';
-    } else {
-      autoRotateBtn.textContent = 'Auto-rotacja';
-      autoRotateBtn.style.background = '';
-    }
+
+  window.relationshipMilestones = {
+    get startDate() {
+      return start;
+    },
+    together,
+    between
+  };
+
+  document.addEventListener('contentchange', (e) => {
+    const startDate = e.detail.content.relationship?.startDate;
+    start = startDate ? fromKey(startDate) : null;
+    checkToday();
   });
-  
-  // Auto-rotation loop
-  function autoRotateLoop() {
-    if (autoRotate) {
-      rotationY += 1;
-      updateCubeRotation();
+
+  // Catches midnight for pages left open
+  setInterval(checkToday, 60 * 1000);
+})();
+
+/* ===== Love Calendar ===== */
+(function loveCalendar() {
+  const section = document.getElementById('love-calendar');
+  const daysGrid = document.getElementById('calendarDays');
+  if (!section || !daysGrid) return;
+
+  const monthLabel = document.getElementById('currentMonth');
+  const prevMonthBtn = document.getElementById('prevMonth');
+  const nextMonthBtn = document.getElementById('nextMonth');
+  const eventsList = document.getElementById('eventsList');
+  const addEventBtn = document.getElementById('addEvent');
+  const daysTogetherEl = document.getElementById('daysTogether');
+  const specialDaysEl = document.getElementById('specialDays');
+  const totalEventsEl = document.getElementById('totalEvents');
+  const togetherSummaryEl = document.getElementById('togetherSummary');
+
+  const dialog = document.getElementById('eventDialog');
+  const form = document.getElementById('eventForm');
+  const dialogTitle = document.getElementById('eventDialogTitle');
+  const titleInput = document.getElementById('eventTitle');
+  const dateInput = document.getElementById('eventDate');
+  const typeSelect = document.getElementById('eventType');
+  const repeatSelect = document.getElementById('eventRepeat');
+  const descriptionInput = document.getElementById('eventDescription');
+  const reminderSelect = document.getElementById('eventReminder');
+  const deleteEventBtn = document.getElementById('deleteEvent');
+  const cancelEventBtn = document.getElementById('cancelEvent');
+
+  const TYPE_ICONS = { date: '💕', anniversary: '💍', birthday: '🎂', other: '⭐', milestone: '🏆' };
+  const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+  const monthFormat = new Intl.DateTimeFormat('pl', { month: 'long', year: 'numeric' });
+  const dayFormat = new Intl.DateTimeFormat('pl', { day: 'numeric', month: 'long' });
+  const fullFormat = new Intl.DateTimeFormat('pl', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+
+  // Events from content.json (and the recipient's birthday) are read-only,
+  // the ones added here live in storage under 'calendar-events'
+  let contentEvents = [];
+  let userEvents = storage.get('calendar-events', []);
+  // Upcoming relationship milestones within the visible weeks, shown but not stored
+  let milestones = [];
+  let editingId = null;
+
+  let today = new Date();
+  let viewYear = today.getFullYear();
+  let viewMonth = today.getMonth();
+
+  function toKey(year, month, day) {
+    return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  function parseKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return { year, month: month - 1, day };
+  }
+
+  function daysInMonth(year, month) {
+    return new Date(year, month + 1, 0).getDate();
+  }
+
+  function allEvents() {
+    return [...contentEvents, ...userEvents];
+  }
+
+  // Yearly events on 29 February fall on the 28th in common years
+  function occursOn(event, year, month, day) {
+    const date = parseKey(event.date);
+    if (event.repeat !== 'yearly') {
+      return date.year === year && date.month === month && date.day === day;
     }
-    requestAnimationFrame(autoRotateLoop);
+    if (year < date.year || date.month !== month) return false;
+    const lastDay = daysInMonth(year, month);
+    return Math.min(date.day, lastDay) === day;
   }
-  autoRotateLoop();
-  
-  // Add cube face click effects
-  const faces = $$('.face');
-  faces.forEach(face => {
-    face.addEventListener('click', () => {
-      if (window.gsap) {
-        gsap.to(face, {
-          scale: 1.2,
-          duration: 0.3,
-          ease: 'back.out(2)',
-          yoyo: true,
-          repeat: 1
-        });
+
+  function eventsOn(year, month, day) {
+    const key = toKey(year, month, day);
+    return [
+      ...allEvents().filter(event => occursOn(event, year, month, day)),
+      ...milestones.filter(milestone => milestone.date === key)
+    ];
+  }
+
+  // "3. rocznica" for yearly events whose first year is known
+  function occurrenceLabel(event, year) {
+    if (event.type === 'milestone') return 'kamień milowy';
+    if (event.repeat !== 'yearly') return '';
+    const count = year - parseKey(event.date).year;
+    if (event.noYear || count < 1) return 'co roku';
+    if (event.type === 'birthday') return `${count}. urodziny`;
+    if (event.type === 'anniversary') return `${count}. rocznica`;
+    return 'co roku';
+  }
+
+  function saveUserEvents() {
+    storage.set('calendar-events', userEvents);
+  }
+
+  // --- Rendering ---
+
+  function renderGrid() {
+    const first = new Date(viewYear, viewMonth, 1);
+    const offset = (first.getDay() + 6) % 7; // Monday-first
+    const count = daysInMonth(viewYear, viewMonth);
+    const cells = Math.ceil((offset + count) / 7) * 7;
+    const todayKey = toKey(today.getFullYear(), today.getMonth(), today.getDate());
+
+    const days = [];
+    for (let i = 0; i < cells; i++) {
+      const date = new Date(viewYear, viewMonth, i - offset + 1);
+      const year = date.getFullYear();
+      const month = date.getMonth();
+      const day = date.getDate();
+      const key = toKey(year, month, day);
+      const events = eventsOn(year, month, day);
+
+      const cell = document.createElement('button');
+      cell.type = 'button';
+      cell.className = 'calendar-day';
+      cell.dataset.date = key;
+      cell.classList.toggle('other-month', month !== viewMonth);
+      cell.classList.toggle('today', key === todayKey);
+      cell.classList.toggle('has-event', events.length > 0);
+      cell.setAttribute('aria-label', [fullFormat.format(date), ...events.map(event => event.title)].join(', '));
+      if (key === todayKey) cell.setAttribute('aria-current', 'date');
+      if (events.length) cell.title = events.map(event => event.title).join('\n');
+
+      const number = document.createElement('span');
+      number.className = 'calendar-day-number';
+      number.textContent = day;
+      cell.appendChild(number);
+
+      if (events.length) {
+        const icons = document.createElement('span');
+        icons.className = 'calendar-day-icons';
+        icons.setAttribute('aria-hidden', 'true');
+        icons.textContent = events.slice(0, 3).map(event => TYPE_ICONS[event.type] || TYPE_ICONS.other).join('');
+        cell.appendChild(icons);
       }
-      
-      // Add particle burst
-      createParticleBurst(
-        face.offsetLeft + face.offsetWidth / 2,
-        face.offsetTop + face.offsetHeight / 2,
-        '#ffd166'
-      );
-    });
-  });
-})();
+      days.push(cell);
+    }
 
-/* ===== Particle World ===== */
-(function particleWorld() {
-  const canvas = document.getElementById('particleCanvas');
-  if (!canvas) return;
-  
-  const ctx = canvas.getContext('2d');
-  const particles = [];
-  let animationId;
-  
-  // Resize canvas
-  function resizeCanvas() {
-    canvas.width = canvas.offsetWidth * 2;
-    canvas.height = canvas.offsetHeight * 2;
-    ctx.scale(2, 2);
+    daysGrid.replaceChildren(...days);
+    const label = monthFormat.format(first);
+    monthLabel.textContent = label.charAt(0).toUpperCase() + label.slice(1);
   }
-  
-  resizeCanvas();
-  window.addEventListener('resize', resizeCanvas);
-  
-  class Particle {
-    constructor(x, y) {
-      this.x = x;
-      this.y = y;
-      this.vx = (Math.random() - 0.5) * 4;
-      this.vy = (Math.random() - 0.5) * 4;
-      this.size = Math.random() * 8 + 4;
-      this.color = `hsl(${Math.random() * 60 + 330}, 70%, 60%)`;
-      this.life = 1;
-      this.decay = Math.random() * 0.02 + 0.01;
+
+  function renderEventsList() {
+    const items = [];
+    for (let day = 1; day <= daysInMonth(viewYear, viewMonth); day++) {
+      eventsOn(viewYear, viewMonth, day).forEach(event => items.push({ event, day }));
     }
-    
-    update() {
-      this.x += this.vx;
-      this.y += this.vy;
-      this.vy += 0.1; // gravity
-      this.life -= this.decay;
-      
-      // Bounce off walls
-      if (this.x < 0 || this.x > canvas.width / 2) this.vx *= -0.8;
-      if (this.y > canvas.height / 2) this.vy *= -0.8;
+
+    const rows = items.map(({ event, day }) => {
+      const item = document.createElement('div');
+      item.className = 'calendar-event';
+      item.dataset.type = event.type || 'other';
+
+      const icon = document.createElement('span');
+      icon.className = 'calendar-event-icon';
+      icon.textContent = TYPE_ICONS[event.type] || TYPE_ICONS.other;
+
+      const details = document.createElement('div');
+      details.className = 'calendar-event-details';
+      const title = document.createElement('strong');
+      title.textContent = event.title;
+      const meta = document.createElement('span');
+      meta.className = 'calendar-event-date';
+      meta.textContent = [
+        dayFormat.format(new Date(viewYear, viewMonth, day)),
+        occurrenceLabel(event, viewYear),
+        event.remind !== undefined && '🔔'
+      ].filter(Boolean).join(' · ');
+      details.append(title, meta);
+      if (event.description) {
+        const description = document.createElement('p');
+        description.textContent = event.description;
+        details.appendChild(description);
+      }
+      item.append(icon, details);
+
+      if (userEvents.includes(event)) {
+        const editBtn = document.createElement('button');
+        editBtn.type = 'button';
+        editBtn.className = 'calendar-event-edit';
+        editBtn.title = 'Edit event';
+        editBtn.setAttribute('aria-label', `Edytuj: ${event.title}`);
+        editBtn.textContent = '✏️';
+        editBtn.addEventListener('click', () => openDialog(event));
+        item.appendChild(editBtn);
+      }
+      return item;
+    });
+
+    if (!rows.length) {
+      const empty = document.createElement('p');
+      empty.className = 'calendar-empty';
+      empty.textContent = 'Brak wydarzeń w tym miesiącu – dodaj coś wyjątkowego!';
+      rows.push(empty);
     }
-    
-    draw() {
-      ctx.save();
-      ctx.globalAlpha = this.life;
-      ctx.fillStyle = this.color;
-      ctx.beginPath();
-      ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.restore();
+
+    // The next milestone is always in sight, even when it falls in another month
+    const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const horizon = new Date(today.getFullYear() + 2, today.getMonth(), today.getDate());
+    const next = window.relationshipMilestones?.between(todayStart, horizon)[0];
+    if (next) {
+      const { year, month, day } = parseKey(next.date);
+      const daysLeft = Math.round((new Date(year, month, day) - todayStart) / MS_PER_DAY);
+      const hint = document.createElement('p');
+      hint.className = 'calendar-next-milestone';
+      hint.textContent = `🏆 Następny kamień milowy: ${next.title} – ${dayFormat.format(new Date(year, month, day))} ${year}`
+        + (daysLeft ? ` (za ${daysLeft} ${daysLeft === 1 ? 'dzień' : 'dni'})` : ' (dziś!)');
+      rows.push(hint);
     }
+
+    eventsList.replaceChildren(...rows);
   }
-  
-  function animate() {
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    
-    // Update and draw particles
-    for (let i = particles.length - 1; i >= 0; i--) {
-      const particle = particles[i];
-      particle.update();
-      particle.draw();
-      
-      if (particle.life <= 0) {
-        particles.splice(i, 1);
+
+  // relationship.startDate wins; without it the first anniversary marks the day it all began
+  function togetherSince() {
+    const milestonesTogether = window.relationshipMilestones?.together();
+    if (milestonesTogether) return milestonesTogether;
+
+    const starts = allEvents()
+      .filter(event => event.type === 'anniversary' && !event.noYear)
+      .map(event => parseKey(event.date))
+      .map(date => new Date(date.year, date.month, date.day));
+    const start = starts.length ? new Date(Math.min(...starts)) : null;
+    if (!start || start > today) return null;
+    const days = Math.floor((new Date(today.getFullYear(), today.getMonth(), today.getDate()) - start) / MS_PER_DAY);
+    return { days, weeks: Math.floor(days / 7) };
+  }
+
+  function renderStats() {
+    const events = allEvents();
+    const year = today.getFullYear();
+    const together = togetherSince();
+
+    // Distinct days this year with at least one event
+    let specialDays = 0;
+    for (let month = 0; month < 12; month++) {
+      for (let day = 1; day <= daysInMonth(year, month); day++) {
+        if (events.some(event => occursOn(event, year, month, day))) specialDays++;
+      }
+    }
+
+    daysTogetherEl.textContent = together?.days ?? 0;
+    specialDaysEl.textContent = specialDays;
+    totalEventsEl.textContent = events.length;
+
+    if (togetherSummaryEl) {
+      togetherSummaryEl.hidden = !together;
+      if (together) {
+        togetherSummaryEl.textContent = together.months === undefined
+          ? `To już ${together.weeks} tyg. razem 💞`
+          : `To już ${together.weeks} tyg. i ${together.months} mies. razem 💞`;
       }
     }
-    
-    animationId = requestAnimationFrame(animate);
   }
-  
-  // Control buttons
-  const addParticlesBtn = document.getElementById('addParticles');
-  const clearParticlesBtn = document.getElementById('clearParticles');
-  const explosionBtn = document.getElementById('explosion');
-  
-  addParticlesBtn?.addEventListener('click', () => {
-    for (let i = 0; i < 20; i++) {
-      particles.push(new Particle(
-        Math.random() * (canvas.width / 2),
-        Math.random() * (canvas.height / 2)
-      ));
+
+  function render() {
+    const first = new Date(viewYear, viewMonth, 1);
+    const gridStart = new Date(viewYear, viewMonth, 1 - (first.getDay() + 6) % 7);
+    const gridEnd = new Date(viewYear, viewMonth + 1, 6);
+    const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    milestones = (window.relationshipMilestones?.between(gridStart > todayStart ? gridStart : todayStart, gridEnd) || [])
+      .map(milestone => ({ id: `milestone-${milestone.date}`, date: milestone.date, title: milestone.title, type: 'milestone' }));
+
+    renderGrid();
+    renderEventsList();
+    renderStats();
+  }
+
+  function changeMonth(step) {
+    const date = new Date(viewYear, viewMonth + step, 1);
+    viewYear = date.getFullYear();
+    viewMonth = date.getMonth();
+    render();
+    if (window.gsap) {
+      gsap.from(daysGrid.children, { opacity: 0, x: step * 12, duration: 0.3, stagger: 0.005 });
     }
+  }
+
+  // --- Create / edit / delete ---
+
+  function openDialog(event, date) {
+    editingId = event?.id || null;
+    dialogTitle.textContent = event ? 'Edytuj wydarzenie' : 'Nowe wydarzenie';
+    titleInput.value = event?.title || '';
+    dateInput.value = event?.date || date || toKey(viewYear, viewMonth, viewYear === today.getFullYear() && viewMonth === today.getMonth() ? today.getDate() : 1);
+    typeSelect.value = event?.type || 'date';
+    repeatSelect.value = event?.repeat || 'none';
+    descriptionInput.value = event?.description || '';
+    reminderSelect.value = event?.remind ?? '';
+    deleteEventBtn.hidden = !event;
+    dialog.showModal();
+    titleInput.focus();
+  }
+
+  typeSelect.addEventListener('change', () => {
+    // Anniversaries and birthdays come back every year
+    if (!editingId && ['anniversary', 'birthday'].includes(typeSelect.value)) repeatSelect.value = 'yearly';
   });
-  
-  clearParticlesBtn?.addEventListener('click', () => {
-    particles.length = 0;
+
+  form.addEventListener('submit', () => {
+    const title = titleInput.value.trim();
+    if (!title || !dateInput.value) return;
+
+    const event = {
+      id: editingId || `event-${Date.now().toString(36)}`,
+      date: dateInput.value,
+      title,
+      type: typeSelect.value,
+      repeat: repeatSelect.value
+    };
+    const description = descriptionInput.value.trim();
+    if (description) event.description = description;
+    if (reminderSelect.value !== '') event.remind = Number(reminderSelect.value);
+
+    const index = userEvents.findIndex(existing => existing.id === editingId);
+    // Keeps the .ics UID so re-importing the same file does not duplicate it
+    if (userEvents[index]?.uid) event.uid = userEvents[index].uid;
+    if (index === -1) {
+      userEvents.push(event);
+    } else {
+      userEvents[index] = event;
+    }
+    saveUserEvents();
+
+    // Jump to the month of the event so it is visible right away
+    const { year, month } = parseKey(event.date);
+    if (event.repeat !== 'yearly' || year > viewYear) {
+      viewYear = year;
+    }
+    viewMonth = month;
+    render();
+    logger.info(`Calendar event saved: ${title}`);
   });
-  
-  explosionBtn?.addEventListener('click', () => {
-    for (let i = 0; i < 100; i++) {
-      particles.push(new Particle(
-        canvas.width / 4,
-        canvas.height / 4
-      ));
+
+  deleteEventBtn.addEventListener('click', () => {
+    const event = userEvents.find(existing => existing.id === editingId);
+    if (!event || !confirm(`Usunąć wydarzenie „${event.title}”?`)) return;
+    userEvents = userEvents.filter(existing => existing.id !== editingId);
+    saveUserEvents();
+    dialog.close();
+    render();
+  });
+
+  cancelEventBtn.addEventListener('click', () => dialog.close());
+
+  daysGrid.addEventListener('click', (e) => {
+    const cell = e.target.closest('.calendar-day');
+    if (!cell) return;
+    const { year, month } = parseKey(cell.dataset.date);
+    if (year !== viewYear || month !== viewMonth) {
+      changeMonth(year * 12 + month - (viewYear * 12 + viewMonth));
     }
+    openDialog(null, cell.dataset.date);
   });
-  
-  animate();
+
+  // Adds events from elsewhere (e.g. an .ics file), skipping ones already in the calendar
+  function importEvents(events) {
+    // Exported files name events "<id>@urodziny", so re-importing one is a no-op
+    const known = new Set(allEvents().flatMap(event => [event.uid || `${event.id}@urodziny`, `${event.date}|${event.title}`]));
+    const added = events.filter(event => {
+      const keys = [event.uid, `${event.date}|${event.title}`].filter(Boolean);
+      if (keys.some(key => known.has(key))) return false;
+      keys.forEach(key => known.add(key));
+      return true;
+    });
+
+    added.forEach((event, i) => {
+      userEvents.push({ ...event, id: `event-${Date.now().toString(36)}-${i}` });
+    });
+    if (added.length) {
+      saveUserEvents();
+      render();
+    }
+    return added.length;
+  }
+
+  window.loveCalendar = {
+    get events() {
+      return allEvents();
+    },
+    import: importEvents
+  };
+
+  prevMonthBtn.addEventListener('click', () => changeMonth(-1));
+  nextMonthBtn.addEventListener('click', () => changeMonth(1));
+  addEventBtn.addEventListener('click', () => openDialog());
+
+  document.addEventListener('contentchange', (e) => {
+    const { recipient, events = [] } = e.detail.content;
+    contentEvents = events.map((event, i) => ({ id: `content-${i}`, type: 'other', repeat: 'none', ...event }));
+
+    if (recipient.birthday) {
+      const noYear = recipient.birthday.length === 5;
+      contentEvents.push({
+        id: 'recipient-birthday',
+        date: noYear ? `1970-${recipient.birthday}` : recipient.birthday,
+        title: `Urodziny: ${recipient.name}`,
+        type: 'birthday',
+        repeat: 'yearly',
+        noYear
+      });
+    }
+    render();
+  });
+
+  // Pages left open overnight move "today", the countdowns and the milestones along
+  function refreshToday() {
+    const now = new Date();
+    if (now.toDateString() === today.toDateString()) return;
+    // The view follows into a new month only if it was showing the current one
+    if (viewYear === today.getFullYear() && viewMonth === today.getMonth()) {
+      viewYear = now.getFullYear();
+      viewMonth = now.getMonth();
+    }
+    today = now;
+    render();
+  }
+
+  setInterval(refreshToday, 60 * 1000);
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) refreshToday();
+  });
+
+  render();
 })();
 
-/* ===== Wish Garden ===== */
-(function wishGarden() {
-  const gardenCanvas = document.getElementById('gardenCanvas');
-  if (!gardenCanvas) return;
+/* ===== Calendar .ics Import & Export ===== */
+// RFC 5545 subset: all-day VEVENTs, yearly RRULEs and VALARM reminders
+(function calendarIcs() {
+  const importBtn = document.getElementById('importEvents');
+  const exportBtn = document.getElementById('exportEvents');
+  const fileInput = document.getElementById('icsFileInput');
+  const statusEl = document.getElementById('calendarStatus');
+  if (!importBtn || !exportBtn || !fileInput || !window.loveCalendar) return;
 
-  const ctx = gardenCanvas.getContext('2d');
-  const plantWishBtn = document.getElementById('plantWish');
-  const waterGardenBtn = document.getElementById('waterGarden');
-  const harvestWishesBtn = document.getElementById('harvestWishes');
-  const wishesPlantedEl = document.getElementById('wishesPlanted');
-  const wishesBloomedEl = document.getElementById('wishesBloomed');
-  const gardenLevelEl = document.getElementById('gardenLevel');
+  const CATEGORIES = { anniversary: 'ANNIVERSARY', birthday: 'BIRTHDAY', date: 'DATE', other: 'OTHER' };
+  const CATEGORY_ALIASES = {
+    ANNIVERSARY: 'anniversary',
+    ROCZNICA: 'anniversary',
+    BIRTHDAY: 'birthday',
+    URODZINY: 'birthday',
+    DATE: 'date',
+    RANDKA: 'date'
+  };
+  const REMINDER_DAYS = [0, 1, 7];
 
-  let wishes = [];
-  let gardenLevel = 1;
+  function setStatus(message) {
+    statusEl.textContent = message;
+  }
 
-  function draw() {
-    ctx.clearRect(0, 0, gardenCanvas.width, gardenCanvas.height);
-    wishes.forEach(wish => {
-      ctx.save();
-      ctx.translate(wish.x, wish.y);
-      if (wish.state === 'seed') {
-        ctx.fillStyle = '#8B4513';
-        ctx.beginPath();
-        ctx.arc(0, 0, 5, 0, Math.PI * 2);
-        ctx.fill();
-      } else if (wish.state === 'flower') {
-        ctx.fillStyle = wish.color;
-        for (let i = 0; i < 5; i++) {
-          ctx.beginPath();
-          ctx.ellipse(Math.cos(i * 2 * Math.PI / 5) * 10, Math.sin(i * 2 * Math.PI / 5) * 10, 5, 8, 0, 0, Math.PI * 2);
-          ctx.fill();
-        }
-        ctx.fillStyle = '#FFD700';
-        ctx.beginPath();
-        ctx.arc(0, 0, 5, 0, Math.PI * 2);
-        ctx.fill();
-      }
-      ctx.restore();
-    });
+  // --- Export ---
+
+  function escapeText(value) {
+    return value
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
   }
 
-  plantWishBtn.addEventListener('click', () => {
-    if (wishes.length < 10) {
-      const newWish = {
-        x: Math.random() * gardenCanvas.width,
-        y: gardenCanvas.height,
-        state: 'seed',
-        color: `hsl(${Math.random() * 360}, 70%, 60%)`
-      };
-      wishes.push(newWish);
-      if(window.gsap) {
-        gsap.from(newWish, { y: gardenCanvas.height + 20, duration: 1, ease: 'bounce.out' });
+  // Lines longer than 75 octets are folded, without splitting a UTF-8 character
+  function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+      const charSize = encoder.encode(char).length;
+      if (size + charSize > (parts.length ? 74 : 75)) {
+        parts.push(current);
+        current = '';
+        size = 0;
       }
-      updateStats();
-      draw();
+      current += char;
+      size += charSize;
     }
-  });
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
 
-  waterGardenBtn.addEventListener('click', () => {
-    wishes.forEach(wish => {
-      if (wish.state === 'seed') {
-        wish.state = 'flower';
-        if(window.gsap) {
-          gsap.from(wish, { scale: 0, duration: 0.5, ease: 'back.out(1.7)' });
-        }
+  function compactDate(key) {
+    return key.replace(/-/g, '');
+  }
+
+  function nextDay(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day + 1));
+    return date.toISOString().slice(0, 10);
+  }
+
+  // Reminders fire at 9:00, `days` before the event
+  function alarmTrigger(days) {
+    if (days === 0) return 'PT9H';
+    return days === 1 ? '-PT15H' : `-P${days - 1}DT15H`;
+  }
+
+  function toIcs(events) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Urodziny//Kalendarz milosci//PL',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:Kalendarz miłości'
+    ];
+
+    events.forEach(event => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${event.uid || `${event.id}@urodziny`}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${compactDate(event.date)}`,
+        `DTEND;VALUE=DATE:${compactDate(nextDay(event.date))}`,
+        `SUMMARY:${escapeText(event.title)}`
+      );
+      if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+      lines.push(`CATEGORIES:${CATEGORIES[event.type] || CATEGORIES.other}`);
+      if (event.repeat === 'yearly') {
+        // A leap-day event moves to the last day of February, as in the calendar itself
+        lines.push(event.date.endsWith('-02-29') ? 'RRULE:FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1' : 'RRULE:FREQ=YEARLY');
+      }
+      if (event.remind !== undefined) {
+        lines.push(
+          'BEGIN:VALARM',
+          'ACTION:DISPLAY',
+          `DESCRIPTION:${escapeText(event.title)}`,
+          `TRIGGER:${alarmTrigger(event.remind)}`,
+          'END:VALARM'
+        );
       }
+      lines.push('END:VEVENT');
     });
-    updateStats();
-    draw();
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  exportBtn.addEventListener('click', () => {
+    const events = window.loveCalendar.events;
+    if (!events.length) {
+      setStatus('Kalendarz jest pusty – nie ma czego eksportować.');
+      return;
+    }
+
+    const link = document.createElement('a');
+    link.download = 'kalendarz-milosci.ics';
+    link.href = URL.createObjectURL(new Blob([toIcs(events)], { type: 'text/calendar;charset=utf-8' }));
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    setStatus(`📤 Wyeksportowano wydarzenia: ${events.length}`);
   });
 
-  harvestWishesBtn.addEventListener('click', () => {
-    wishes.forEach(wish => {
-      if (wish.state === 'flower') {
-        if(window.gsap) {
-          gsap.to(wish, { y: -20, opacity: 0, duration: 1, ease: 'power2.in', onComplete: () => {
-            wishes = wishes.filter(w => w !== wish);
-            updateStats();
-            draw();
-          }});
+  // --- Import ---
+
+  function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (_, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+  }
+
+  // "DTSTART;VALUE=DATE:20240214" → { name: 'DTSTART', params: { VALUE: 'DATE' }, value: '20240214' }
+  function parseLine(line) {
+    const match = line.match(/^([^:;]+)((?:;[^:;]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+    if (!match) return null;
+    const params = {};
+    match[2].split(';').filter(Boolean).forEach(param => {
+      const [key, value = ''] = param.split('=');
+      params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+    });
+    return { name: match[1].toUpperCase(), params, value: match[3] };
+  }
+
+  // Dates become local calendar days; UTC times are converted first
+  function parseDate(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    if (!utc) return `${year}-${month}-${day}`;
+    const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+      .map((part, i) => String(part).padStart(i ? 2 : 4, '0'))
+      .join('-');
+  }
+
+  // "-P1DT15H" → seconds (negative before the event)
+  function parseDuration(value) {
+    const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    const total = ((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 3600 + Number(minutes) * 60 + Number(seconds);
+    return sign === '-' ? -total : total;
+  }
+
+  // Picks the closest reminder the calendar offers
+  function reminderDays(trigger) {
+    const seconds = parseDuration(trigger);
+    if (seconds === null) return undefined;
+    const days = seconds >= 0 ? 0 : Math.round(-seconds / 86400);
+    return REMINDER_DAYS.reduce((best, option) => (Math.abs(option - days) < Math.abs(best - days) ? option : best));
+  }
+
+  function parseIcs(text) {
+    // Unfold continuation lines first (CRLF followed by a space or tab)
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let skipped = 0;
+    let event = null;
+    let inAlarm = false;
+
+    lines.forEach(raw => {
+      const line = parseLine(raw);
+      if (!line) return;
+
+      if (line.name === 'BEGIN' && line.value === 'VEVENT') {
+        event = {};
+      } else if (line.name === 'BEGIN' && line.value === 'VALARM' && event) {
+        inAlarm = true;
+      } else if (line.name === 'END' && line.value === 'VALARM') {
+        inAlarm = false;
+      } else if (line.name === 'END' && line.value === 'VEVENT' && event) {
+        if (event.date && event.title) {
+          events.push(event);
+        } else {
+          skipped++;
+        }
+        event = null;
+      } else if (event && inAlarm) {
+        if (line.name === 'TRIGGER' && line.params.RELATED !== 'END' && event.remind === undefined) {
+          const days = reminderDays(line.value);
+          if (days !== undefined) event.remind = days;
+        }
+      } else if (event) {
+        switch (line.name) {
+          case 'UID':
+            event.uid = line.value;
+            break;
+          case 'SUMMARY':
+            event.title = unescapeText(line.value).trim().slice(0, 80);
+            break;
+          case 'DESCRIPTION': {
+            const description = unescapeText(line.value).trim();
+            if (description) event.description = description.slice(0, 300);
+            break;
+          }
+          case 'DTSTART':
+            event.date = parseDate(line.value);
+            break;
+          case 'RRULE':
+            // Only yearly repeats exist here; other rules keep their first occurrence
+            event.repeat = /(^|;)FREQ=YEARLY(;|$)/i.test(line.value) ? 'yearly' : 'none';
+            break;
+          case 'CATEGORIES': {
+            const type = line.value.split(',').map(category => CATEGORY_ALIASES[category.trim().toUpperCase()]).find(Boolean);
+            if (type) event.type = type;
+            break;
+          }
         }
       }
     });
-    if(!window.gsap) {
-      wishes = wishes.filter(wish => wish.state !== 'flower');
-      updateStats();
-      draw();
-    }
-  });
 
-  function updateStats() {
-    const planted = wishes.length;
-    const bloomed = wishes.filter(w => w.state === 'flower').length;
-    wishesPlantedEl.textContent = planted;
-    wishesBloomedEl.textContent = bloomed;
-    gardenLevelEl.textContent = Math.floor(planted / 5) + 1;
+    return {
+      events: events.map(parsed => ({
+        type: parsed.repeat === 'yearly' ? 'anniversary' : 'date',
+        repeat: 'none',
+        ...parsed
+      })),
+      skipped
+    };
   }
 
-  draw();
+  importBtn.addEventListener('click', () => fileInput.click());
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      if (!/BEGIN:VCALENDAR/.test(text)) throw new Error('not an iCalendar file');
+
+      const { events, skipped } = parseIcs(text);
+      const added = window.loveCalendar.import(events);
+      const duplicates = events.length - added;
+      setStatus([
+        `📥 Zaimportowano wydarzenia: ${added}`,
+        duplicates && `już w kalendarzu: ${duplicates}`,
+        skipped && `pominięte (bez daty lub tytułu): ${skipped}`
+      ].filter(Boolean).join(', '));
+      logger.info(`Imported ${added} of ${events.length} events from ${file.name}`);
+    } catch (error) {
+      logger.error(`Could not import ${file.name}: ${error.message}`);
+      setStatus(`⚠️ Nie udało się odczytać pliku ${file.name}`);
+    }
+  });
 })();
 
 /* ===== Love Quiz ===== */
@@ -2163,31 +7736,35 @@ document.addEventListener('DOMContentLoaded', () => {
   const finalScore = document.getElementById('finalScore');
   const resultsMessage = document.getElementById('resultsMessage');
   const quizScoreEl = document.getElementById('quizScore');
+  const quizProgress = document.getElementById('quizProgress');
+  const quizProgressText = document.getElementById('quizProgressText');
+  const scoreMaxEl = quizContainer.querySelector('.score-max');
 
-  const questions = [
-    {
-      question: "Jaki jest mój ulubiony kolor?",
-      options: ["Różowy", "Czarny", "Fioletowy", "Niebieski"],
-      answer: "Fioletowy"
-    },
-    {
-      question: "Gdzie byliśmy na pierwszej randce?",
-      options: ["W kinie", "W restauracji", "Na spacerze", "W domu"],
-      answer: "Na spacerze"
-    },
-    {
-      question: "Jaka jest moja ulubiona pora roku?",
-      options: ["Wiosna", "Lato", "Jesień", "Zima"],
-      answer: "Jesień"
-    }
-  ];
+  // Filled from content.json; the quiz can't start before that
+  let questions = [];
 
   let currentQuestionIndex = 0;
   let score = 0;
 
+  document.addEventListener('contentchange', (e) => {
+    questions = e.detail.content.quiz.questions;
+    // A quiz in progress starts over with the new questions
+    if (quizContent.style.display === 'block') startQuiz();
+    updateProgress();
+  });
+
+  function updateProgress() {
+    startQuizBtn.disabled = !questions.length;
+    const shown = Math.min(currentQuestionIndex + 1, questions.length);
+    if (quizProgressText) quizProgressText.textContent = `Pytanie ${shown} z ${questions.length}`;
+    if (quizProgress) quizProgress.style.width = `${questions.length ? (currentQuestionIndex / questions.length) * 100 : 0}%`;
+    if (scoreMaxEl) scoreMaxEl.textContent = `/${questions.length}`;
+  }
+
   startQuizBtn.addEventListener('click', startQuiz);
   nextQuestionBtn.addEventListener('click', nextQuestion);
   restartQuizBtn.addEventListener('click', restartQuiz);
+  updateProgress();
 
   function startQuiz() {
     startQuizBtn.style.display = 'none';
@@ -2203,6 +7780,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   function displayQuestion() {
     const question = questions[currentQuestionIndex];
+    updateProgress();
     questionText.textContent = question.question;
     questionOptions.innerHTML = '';
     question.options.forEach(option => {
@@ -2252,6 +7830,7 @@ document.addEventListener('DOMContentLoaded', () => {
     quizResults.style.display = 'block';
     restartQuizBtn.style.display = 'block';
     finalScore.textContent = score;
+    updateProgress();
     if (score === questions.length) {
       resultsMessage.textContent = "Gratulacje! Znasz mnie doskonale!";
     } else {
@@ -2387,11 +7966,18 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  // Recordings play on the engine's voice bus, so the master mute covers them too
+  const playback = new Audio();
+  let playbackUrl;
+  audioEngine?.createElementSource(playback).connect(audioEngine.buses.voice);
+
   playRecordingBtn.addEventListener('click', () => {
     if (audioBlob) {
-      const audioUrl = URL.createObjectURL(audioBlob);
-      const audio = new Audio(audioUrl);
-      audio.play();
+      if (playbackUrl) URL.revokeObjectURL(playbackUrl);
+      playbackUrl = URL.createObjectURL(audioBlob);
+      playback.src = playbackUrl;
+      audioEngine?.resume();
+      playback.play().catch(error => logger.warn('Recording playback failed: ' + error.message));
     }
   });
 })();
@@ -1,6 +1,6 @@
 // Modern Service Worker for Birthday Website
 const CACHE_NAME = 'birthday-cache-v1.0.0';
-const STATIC_CACHE = 'static-v1';
+const STATIC_CACHE = 'static-v2';
 const DYNAMIC_CACHE = 'dynamic-v1';
 
 // Files to cache immediately
@@ -9,6 +9,7 @@ const STATIC_FILES = [
   '/index.html',
   '/style.css',
   '/script.js',
+  '/content.json',
   'https://cdn.jsdelivr.net/npm/gsap@3.12.5/dist/gsap.min.js',
   'https://cdn.jsdelivr.net/npm/gsap@3.12.5/dist/ScrollTrigger.min.js',
   'https://cdn.jsdelivr.net/npm/gsap@3.12.5/dist/ScrollToPlugin.min.js',
@@ -63,8 +64,9 @@ self.addEventListener('fetch', (event) => {
   // Skip non-GET requests
   if (request.method !== 'GET') return;
 
-  // Handle different types of requests
-  if (url.origin === self.location.origin) {
+  // Handle different types of requests. content.json is edited without a new
+  // release, so it always tries the network first like external resources
+  if (url.origin === self.location.origin && !url.pathname.endsWith('/content.json')) {
     // Same origin - use cache first strategy
     event.respondWith(
       caches.match(request)
@@ -93,7 +95,7 @@ self.addEventListener('fetch', (event) => {
         })
     );
   } else {
-    // External resources - use network first strategy
+    // External resources and content.json - use network first strategy
     event.respondWith(
       fetch(request)
         .then(response => {
@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+/* ===== Static Bundle Generator =====
+ *
+ * Builds a ready-to-host copy of the page for one recipient:
+ *
+ *   node tools/generate.js <recipient.json> [output-dir]
+ *
+ * The config fills in the page title and meta tags, the JSON-LD block,
+ * manifest.json, the birthday countdown and relationship start date, the
+ * playlist in script.js and the precache list in sw.js.
+ * Paths inside the config are relative to the config file. Only Node's
+ * built-in modules are used, so it runs fully offline.
+ * See tools/recipient.example.json for every supported field.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Shipped audio is cached on first play instead, it is too heavy to precache
+const CDN_FILES = [
+  'https://cdn.jsdelivr.net/npm/gsap@3.12.5/dist/gsap.min.js',
+  'https://cdn.jsdelivr.net/npm/gsap@3.12.5/dist/ScrollTrigger.min.js',
+  'https://cdn.jsdelivr.net/npm/gsap@3.12.5/dist/ScrollToPlugin.min.js',
+  'https://cdn.jsdelivr.net/npm/canvas-confetti@1.9.3/dist/confetti.browser.min.js',
+  'https://fonts.googleapis.com/css2?family=Poppins:wght@300;400;600;800&family=Great+Vibes&display=swap'
+];
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid config:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// --- Config ---
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${path.relative(process.cwd(), file)}: ${error.message}`);
+  }
+}
+
+function loadConfig(file) {
+  const config = readJson(file);
+  const baseDir = path.dirname(file);
+  const errors = [];
+  const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+  if (!isText(config.name)) errors.push('name: expected non-empty text');
+  if (config.url !== undefined) {
+    try {
+      new URL(config.url);
+    } catch (e) {
+      errors.push(`url: "${config.url}" is not an absolute URL`);
+    }
+  }
+  if (config.birthday !== undefined && !/^(\d{4}-)?\d{2}-\d{2}$/.test(config.birthday)) {
+    errors.push('birthday: expected a date like 1999-10-24 or 10-24');
+  }
+  if (config.startDate !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(config.startDate)) {
+    errors.push('startDate: expected a date like 2023-02-14');
+  }
+  if (config.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('pl', { timeZone: config.timezone });
+    } catch (e) {
+      errors.push(`timezone: "${config.timezone}" is not a known time zone`);
+    }
+  }
+  ['themeColor', 'backgroundColor'].forEach(key => {
+    if (config[key] !== undefined && !HEX_COLOR.test(config[key])) {
+      errors.push(`${key}: expected a colour like #ff4d6d`);
+    }
+  });
+
+  if (!Array.isArray(config.tracks) || !config.tracks.length) {
+    errors.push('tracks: expected at least one track');
+  } else {
+    config.tracks.forEach((track, i) => {
+      if (!isText(track.file)) {
+        errors.push(`tracks[${i}].file: expected a path to an audio file`);
+      } else if (!fs.existsSync(path.resolve(baseDir, track.file))) {
+        errors.push(`tracks[${i}].file: ${track.file} does not exist`);
+      }
+      if (!isText(track.title)) errors.push(`tracks[${i}].title: expected non-empty text`);
+      if (track.lyrics !== undefined && !fs.existsSync(path.resolve(baseDir, track.lyrics))) {
+        errors.push(`tracks[${i}].lyrics: ${track.lyrics} does not exist`);
+      }
+    });
+  }
+
+  (config.shortcuts || []).forEach((shortcut, i) => {
+    if (!isText(shortcut.name)) errors.push(`shortcuts[${i}].name: expected non-empty text`);
+    if (!isText(shortcut.url)) errors.push(`shortcuts[${i}].url: expected a page URL such as /#music`);
+  });
+
+  const contentFile = path.resolve(baseDir, config.content || path.join(ROOT, 'content.json'));
+  if (!fs.existsSync(contentFile)) errors.push(`content: ${path.relative(process.cwd(), contentFile)} does not exist`);
+
+  if (errors.length) throw new ConfigError(errors);
+
+  return {
+    name: config.name.trim(),
+    title: config.title || `Wszystkiego najlepszego, ${config.name.trim()}! 🎂💖`,
+    description: config.description || 'Animowane życzenia urodzinowe dla Ciebie!',
+    birthday: config.birthday,
+    timezone: config.timezone,
+    startDate: config.startDate,
+    url: config.url || 'https://example.com',
+    appName: config.appName || `💖 Urodziny – ${config.name.trim()}`,
+    shortName: config.shortName || 'Urodziny 💕',
+    themeColor: config.themeColor || '#ff4d6d',
+    backgroundColor: config.backgroundColor || '#0f0c1d',
+    shortcuts: config.shortcuts,
+    contentFile,
+    tracks: config.tracks.map(track => ({
+      ...track,
+      file: path.resolve(baseDir, track.file),
+      lyrics: track.lyrics && path.resolve(baseDir, track.lyrics)
+    }))
+  };
+}
+
+// --- Helpers ---
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// "Chłopaki nie płaczą" → "chlopaki-nie-placza"
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/ł/g, 'l')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '') || 'utwor';
+}
+
+// Playlist entries are written in the same quote style as the rest of script.js
+function jsString(text) {
+  return `'${JSON.stringify(String(text)).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+}
+
+function hash(data) {
+  return crypto.createHash('sha256').update(data).digest('hex').slice(0, 10);
+}
+
+// Fails loudly instead of silently shipping an untouched template.
+// Text is always inserted through a function, so "$&" or "$1" in the config stay literal
+function replaceOnce(source, pattern, replacement, what) {
+  if (!pattern.test(source)) throw new Error(`Template changed: could not find ${what}`);
+  return source.replace(pattern, typeof replacement === 'function' ? replacement : () => replacement);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A changed file gets a new URL, so no cache can keep serving the old one
+function versioned(file, data) {
+  return `${file}?v=${hash(data)}`;
+}
+
+// Points href/src attributes at the versioned URLs from `assets` ({ file: url })
+function versionAssets(html, assets) {
+  return Object.entries(assets).reduce((page, [file, url]) => page.replace(
+    new RegExp(`((?:href|src)="/?)${escapeRegExp(file)}"`, 'g'),
+    (_, open) => `${open}${url}"`
+  ), html);
+}
+
+// --- Templates ---
+
+function renderIndex(html, config, firstTrack, assets) {
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'WebPage',
+    name: config.title,
+    description: config.description,
+    url: config.url,
+    mainEntity: {
+      '@type': 'CreativeWork',
+      name: `Życzenia urodzinowe dla: ${config.name}`,
+      description: config.description
+    }
+  };
+  // "<" is escaped so text like "</script>" cannot end the inline block early
+  const jsonLdBlock = JSON.stringify(jsonLd, null, 2).replace(/</g, '\\u003c').replace(/\n/g, '\n    ');
+
+  html = replaceOnce(html, /<title>[^<]*<\/title>/, `<title>${escapeHtml(config.title)}</title>`, '<title>');
+  html = replaceOnce(html, /(<meta name="description" content=")[^"]*/, (_, open) => open + escapeHtml(config.description), 'meta description');
+  html = replaceOnce(html, /(<meta name="theme-color" content=")[^"]*/, (_, open) => open + config.themeColor, 'meta theme-color');
+  html = replaceOnce(html, /(<meta name="msapplication-TileColor" content=")[^"]*/, (_, open) => open + config.themeColor, 'meta TileColor');
+  html = replaceOnce(html, /(<meta name="apple-mobile-web-app-title" content=")[^"]*/, (_, open) => open + escapeHtml(config.shortName), 'meta app title');
+  html = replaceOnce(
+    html,
+    /(<script type="application\/ld\+json">\s*)[\s\S]*?(\s*<\/script>)/,
+    (_, open, close) => `${open}${jsonLdBlock}${close}`,
+    'JSON-LD block'
+  );
+
+  // Static markup shown before script.js takes over
+  html = replaceOnce(html, /(<span id="nameSpan"[^>]*>)[^<]*/, (_, open) => open + escapeHtml(config.name), '#nameSpan');
+  html = replaceOnce(html, /<source src="[^"]*" type="[^"]*">/, `<source src="${escapeHtml(firstTrack.src)}" type="${firstTrack.type}">`, 'audio <source>');
+  html = html.replace(/(<(h4|span) class="(track|mini-player)-title">)[^<]*/g, (_, open) => open + escapeHtml(firstTrack.title));
+  html = html.replace(/(<(p|span) class="(track|mini-player)-artist">)[^<]*/g, (_, open) => open + escapeHtml(firstTrack.artist));
+  return versionAssets(html, assets);
+}
+
+function renderManifest(manifest, config) {
+  manifest.name = config.appName;
+  manifest.short_name = config.shortName;
+  manifest.description = config.description;
+  manifest.theme_color = config.themeColor;
+  manifest.background_color = config.backgroundColor;
+  if (config.shortcuts) {
+    manifest.shortcuts = config.shortcuts.map(shortcut => ({
+      name: shortcut.name,
+      short_name: shortcut.short_name || shortcut.name,
+      description: shortcut.description || '',
+      url: shortcut.url,
+      icons: [{ src: '/icon-96x96.png', sizes: '96x96' }]
+    }));
+  }
+  return JSON.stringify(manifest, null, 2) + '\n';
+}
+
+function renderScript(script, tracks) {
+  const literal = tracks.map(track => {
+    const fields = [
+      `id: ${jsString(track.id)}`,
+      `src: ${jsString(track.src)}`,
+      `title: ${jsString(track.title)}`,
+      `artist: ${jsString(track.artist)}`,
+      track.album && `album: ${jsString(track.album)}`,
+      track.lyrics && `lyrics: ${jsString(track.lyrics)}`
+    ].filter(Boolean);
+    return `    {\n      ${fields.join(',\n      ')}\n    }`;
+  }).join(',\n');
+
+  return replaceOnce(script, /(const tracks = \[\n)[\s\S]*?(\n  \];)/, (_, open, close) => `${open}${literal}${close}`, 'the playlist in script.js');
+}
+
+// The cache name follows the bundle contents, so every regenerated bundle
+// replaces the precache of the previous one on activation
+function renderServiceWorker(sw, urls, bundleHash) {
+  const list = [...urls, ...CDN_FILES].map(url => `  ${jsString(url)}`).join(',\n');
+  sw = replaceOnce(sw, /const STATIC_CACHE = '[^']*';/, `const STATIC_CACHE = 'static-${bundleHash}';`, 'STATIC_CACHE in sw.js');
+  return replaceOnce(sw, /const STATIC_FILES = \[[\s\S]*?\n\];/, `const STATIC_FILES = [\n${list}\n];`, 'STATIC_FILES in sw.js');
+}
+
+// --- Build ---
+
+const AUDIO_TYPES = { '.webm': 'audio/webm', '.mp3': 'audio/mpeg', '.ogg': 'audio/ogg', '.opus': 'audio/ogg', '.flac': 'audio/flac', '.m4a': 'audio/mp4', '.wav': 'audio/wav' };
+
+function generate(configFile, outDir) {
+  const config = loadConfig(configFile);
+  const output = {};
+
+  const content = readJson(config.contentFile);
+  if (!content.recipient || typeof content.recipient !== 'object') content.recipient = {};
+  content.recipient.name = config.name;
+  if (config.birthday) content.recipient.birthday = config.birthday;
+  if (config.timezone) content.recipient.timezone = config.timezone;
+  if (config.startDate) content.relationship = { ...content.relationship, startDate: config.startDate };
+  output['content.json'] = JSON.stringify(content, null, 2) + '\n';
+
+  const usedIds = new Set();
+  const tracks = config.tracks.map(track => {
+    let id = slugify(track.title);
+    while (usedIds.has(id)) id += '-2';
+    usedIds.add(id);
+
+    const src = path.basename(track.file);
+    output[src] = fs.readFileSync(track.file);
+    const lyrics = track.lyrics && `lyrics/${id}.lrc`;
+    if (lyrics) output[lyrics] = fs.readFileSync(track.lyrics);
+
+    return {
+      id,
+      src,
+      type: AUDIO_TYPES[path.extname(src).toLowerCase()] || 'audio/mpeg',
+      title: track.title,
+      artist: track.artist || 'Nasza piosenka',
+      album: track.album,
+      lyrics: lyrics && versioned(lyrics, output[lyrics])
+    };
+  });
+
+  const read = (file) => fs.readFileSync(path.join(ROOT, file), 'utf8');
+  output['manifest.json'] = renderManifest(JSON.parse(read('manifest.json')), config);
+  output['script.js'] = renderScript(read('script.js'), tracks);
+  output['style.css'] = read('style.css');
+  output['changelog.css'] = read('changelog.css');
+
+  // The pages link to their assets by content hash; the pages themselves keep their URLs
+  const assets = Object.fromEntries(['style.css', 'script.js', 'manifest.json', 'changelog.css']
+    .map(file => [file, versioned(file, output[file])]));
+  output['index.html'] = renderIndex(read('index.html'), config, tracks[0], assets);
+  output['changelog.html'] = versionAssets(read('changelog.html'), assets);
+
+  const pages = ['index.html', 'changelog.html', 'content.json'];
+  const precached = ['/', ...pages, ...Object.values(assets), ...tracks.map(track => track.lyrics).filter(Boolean)]
+    .map(url => (url === '/' ? url : `/${url}`));
+  output['sw.js'] = renderServiceWorker(read('sw.js'), precached, hash(pages.map(file => output[file]).join('') + precached.join('')));
+
+  Object.entries(output).forEach(([file, data]) => {
+    const target = path.join(outDir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, data);
+  });
+
+  return { files: Object.keys(output), cache: output['sw.js'].match(/STATIC_CACHE = '([^']*)'/)[1] };
+}
+
+if (require.main === module) {
+  const [configArg, outArg = 'dist'] = process.argv.slice(2);
+
+  if (!configArg || configArg === '--help' || configArg === '-h') {
+    console.log('Usage: node tools/generate.js <recipient.json> [output-dir]');
+    process.exit(configArg ? 0 : 1);
+  }
+
+  const outDir = path.resolve(outArg);
+  if (ROOT === outDir || ROOT.startsWith(outDir + path.sep)) {
+    console.error('Refusing to overwrite the source tree, pick another output directory.');
+    process.exit(1);
+  }
+
+  try {
+    const { files, cache } = generate(path.resolve(configArg), outDir);
+    console.log(`✓ Bundle written to ${path.relative(process.cwd(), outDir) || '.'} (${files.length} files, cache ${cache})`);
+  } catch (error) {
+    console.error(error instanceof ConfigError ? error.message : `✗ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { generate, loadConfig, ConfigError };